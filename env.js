@@ -15,6 +15,15 @@ module.exports = {
   TVL_SPIKE_WEBHOOK: process.env.TVL_SPIKE_WEBHOOK,
   NEW_YIELDS_WEBHOOK: process.env.NEW_YIELDS_WEBHOOK,
   STALE_PROJECTS_WEBHOOK: process.env.STALE_PROJECTS_WEBHOOK,
+  // alert routing (see src/utils/notifier.js) and smtp for email sinks
+  ALERT_ROUTES: process.env.ALERT_ROUTES,
+  SMTP_HOST: process.env.SMTP_HOST,
+  SMTP_PORT: process.env.SMTP_PORT,
+  SMTP_USER: process.env.SMTP_USER,
+  SMTP_PASS: process.env.SMTP_PASS,
+  ALERT_EMAIL_FROM: process.env.ALERT_EMAIL_FROM,
+  STALE_HIDE_HOURS: process.env.STALE_HIDE_HOURS,
+  PERP_STALE_HOURS: process.env.PERP_STALE_HOURS,
   ZEROX_API: process.env.ZEROX_API,
   SMARDEX_SUBGRAPH_API_KEY: process.env.SMARDEX_SUBGRAPH_API_KEY,
   VENDOR_FINANCE: process.env.VENDOR_FINANCE,
@@ -26,6 +35,8 @@ module.exports = {
   R2_SECRET_ACCESS_KEY: process.env.R2_SECRET_ACCESS_KEY,
   // DB
   DATABASE_URL: process.env.DATABASE_URL,
+  // x-api-key of the api's write/review routes (see src/api/auth.js)
+  ADMIN_API_KEY: process.env.ADMIN_API_KEY,
   OSMOSIS_API_KEY: process.env.OSMOSIS_API_KEY,
   SAUCERSWAP_API_KEY: process.env.SAUCERSWAP_API_KEY,
   DUNE_API_KEY: process.env.DUNE_API_KEY,
@@ -33,4 +44,5 @@ module.exports = {
   PLASMA_RPC: process.env.PLASMA_RPC,
   STARKNET_RPC: process.env.STARKNET_RPC,
   MONAD_RPC: process.env.MONAD_RPC,
+  ANKR_API_KEY: process.env.ANKR_API_KEY,
 };
@@ -0,0 +1,9 @@
+// unit tests of pure helpers (no network, no db): `npm run test:unit`
+// `npm test` runs the adapter tests only (see the jest config in package.json)
+module.exports = {
+  testEnvironment: 'node',
+  roots: ['<rootDir>/src'],
+  testMatch: ['**/__tests__/**/*.test.js'],
+  // plain commonjs, no babel
+  transform: {},
+};
@@ -0,0 +1,37 @@
+const { PgLiteral } = require('node-pg-migrate');
+
+exports.up = (pgm) => {
+  // append-only log of adapter runs (adapter_stats only keeps the last one)
+  pgm.createTable('adapter_run', {
+    adapter_run_id: {
+      type: 'uuid',
+      default: new PgLiteral('uuid_generate_v4()'),
+      primaryKey: true,
+    },
+    adapter: { type: 'text', notNull: true },
+    started_at: { type: 'timestamptz', notNull: true },
+    finished_at: { type: 'timestamptz', notNull: true },
+    duration_ms: { type: 'integer', notNull: true },
+    status: { type: 'text', notNull: true },
+    error: 'text',
+    // nb of pools returned by the adapter
+    pools_returned: 'integer',
+    // nb of pools removed per filter stage, eg { "tvlBounds": 9, "spike": 3 }
+    pools_dropped: 'jsonb',
+    // nb of pools written to the yield table
+    pools_inserted: 'integer',
+  });
+
+  pgm.addConstraint('adapter_run', 'adapter_run_status_check', {
+    check: "status IN ('success', 'error')",
+  });
+  pgm.createIndex('adapter_run', [
+    'adapter',
+    { name: 'started_at', sort: 'DESC' },
+  ]);
+  pgm.createIndex('adapter_run', ['started_at']);
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('adapter_run');
+};
@@ -0,0 +1,22 @@
+exports.up = (pgm) => {
+  // pools removed by the adapter handler's filter stages, per run
+  // (detail rows are capped per stage and pruned after a week, counts stay on adapter_run)
+  pgm.createTable('adapter_run_drop', {
+    adapter_run_drop_id: { type: 'bigserial', primaryKey: true },
+    adapter_run_id: {
+      type: 'uuid',
+      notNull: true,
+      references: '"adapter_run"',
+      onDelete: 'cascade',
+    },
+    pool: 'text',
+    stage: { type: 'text', notNull: true },
+    reason: 'text',
+  });
+
+  pgm.createIndex('adapter_run_drop', ['adapter_run_id']);
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('adapter_run_drop');
+};
@@ -0,0 +1,55 @@
+const { PgLiteral } = require('node-pg-migrate');
+
+exports.up = (pgm) => {
+  // yield samples blocked by the adapter handler's tvl/apy spike check,
+  // kept for review (approve -> inserted into yield, reject -> discarded)
+  pgm.createTable('spike_quarantine', {
+    spike_quarantine_id: {
+      type: 'uuid',
+      default: new PgLiteral('uuid_generate_v4()'),
+      primaryKey: true,
+    },
+    configID: {
+      type: 'uuid',
+      notNull: true,
+      references: '"config"',
+      onDelete: 'cascade',
+    },
+    adapter: { type: 'text', notNull: true },
+    pool: { type: 'text', notNull: true },
+    // timestamp of the blocked sample
+    timestamp: { type: 'timestamptz', notNull: true },
+    tvl_usd: { type: 'bigint', notNull: true },
+    apy: { type: 'numeric', notNull: true },
+    // last value in yield at the time of the check
+    tvl_usd_prev: 'bigint',
+    apy_prev: 'numeric',
+    timestamp_prev: 'timestamptz',
+    tvl_multiplier: 'numeric',
+    apy_multiplier: 'numeric',
+    // full yield row as prepared by the adapter handler
+    sample: { type: 'jsonb', notNull: true },
+    status: { type: 'text', notNull: true, default: 'pending' },
+    created_at: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+    resolved_at: 'timestamptz',
+    // reviewer, or 'auto' for samples released after a persistent spike
+    resolved_by: 'text',
+  });
+
+  pgm.addConstraint('spike_quarantine', 'spike_quarantine_status_check', {
+    check: "status IN ('pending', 'approved', 'rejected', 'released')",
+  });
+  pgm.addConstraint('spike_quarantine', 'spike_quarantine_config_ts_unique', {
+    unique: ['configID', 'timestamp'],
+  });
+  pgm.createIndex('spike_quarantine', ['adapter', 'status']);
+  pgm.createIndex('spike_quarantine', ['status', 'created_at']);
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('spike_quarantine');
+};
@@ -0,0 +1,20 @@
+exports.up = (pgm) => {
+  // index of the hourly /pools snapshots written by the enrichment handler
+  // (one object per hour in s3, used for /pools?at=<timestamp>)
+  pgm.createTable('enriched_snapshot', {
+    // start of the hour the snapshot was produced in
+    timestamp: { type: 'timestamptz', primaryKey: true },
+    bucket: { type: 'text', notNull: true },
+    key: { type: 'text', notNull: true },
+    nb_pools: { type: 'integer', notNull: true },
+    created_at: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('enriched_snapshot');
+};
@@ -0,0 +1,115 @@
+const { PgLiteral } = require('node-pg-migrate');
+
+exports.up = (pgm) => {
+  // user registered webhooks, each with a single rule on a configID, project or token
+  pgm.createTable('webhook_subscription', {
+    webhook_subscription_id: {
+      type: 'uuid',
+      default: new PgLiteral('uuid_generate_v4()'),
+      primaryKey: true,
+    },
+    url: { type: 'text', notNull: true },
+    // hmac-sha256 key for the X-Llama-Signature header
+    secret: { type: 'text', notNull: true },
+    // configID: single pool, project: all pools of a project,
+    // token: all pools with the token (address) in underlyingTokens
+    scope_type: { type: 'text', notNull: true },
+    scope_value: { type: 'text', notNull: true },
+    // apy_below: apy < threshold
+    // tvl_drop_pct: tvl fell by >= threshold % in 24h
+    // stale: no update for >= threshold hours
+    // outlier_flip: outlier flag changed (no threshold)
+    rule: { type: 'text', notNull: true },
+    threshold: 'numeric',
+    description: 'text',
+    active: { type: 'boolean', notNull: true, default: true },
+    created_at: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.addConstraint(
+    'webhook_subscription',
+    'webhook_subscription_scope_check',
+    {
+      check: "scope_type IN ('configID', 'project', 'token')",
+    }
+  );
+  pgm.addConstraint('webhook_subscription', 'webhook_subscription_rule_check', {
+    check: "rule IN ('apy_below', 'tvl_drop_pct', 'stale', 'outlier_flip')",
+  });
+  pgm.createIndex('webhook_subscription', ['active']);
+
+  // last evaluated state per subscription and pool, alerts are only sent when it changes
+  // (apy_below/tvl_drop_pct/stale: condition true, outlier_flip: outlier flag)
+  pgm.createTable('webhook_alert_state', {
+    webhook_subscription_id: {
+      type: 'uuid',
+      notNull: true,
+      references: '"webhook_subscription"',
+      onDelete: 'cascade',
+    },
+    configID: {
+      type: 'uuid',
+      notNull: true,
+      references: '"config"',
+      onDelete: 'cascade',
+    },
+    state: { type: 'boolean', notNull: true },
+    updated_at: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.addConstraint('webhook_alert_state', 'webhook_alert_state_pkey', {
+    primaryKey: ['webhook_subscription_id', 'configID'],
+  });
+
+  // delivery log, also used as retry queue (status pending + next_attempt_at)
+  pgm.createTable('webhook_delivery', {
+    webhook_delivery_id: {
+      type: 'uuid',
+      default: new PgLiteral('uuid_generate_v4()'),
+      primaryKey: true,
+    },
+    webhook_subscription_id: {
+      type: 'uuid',
+      notNull: true,
+      references: '"webhook_subscription"',
+      onDelete: 'cascade',
+    },
+    payload: { type: 'jsonb', notNull: true },
+    status: { type: 'text', notNull: true, default: 'pending' },
+    attempts: { type: 'integer', notNull: true, default: 0 },
+    next_attempt_at: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+    // http status/error of the last attempt
+    response_status: 'integer',
+    last_error: 'text',
+    created_at: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+    delivered_at: 'timestamptz',
+  });
+  pgm.addConstraint('webhook_delivery', 'webhook_delivery_status_check', {
+    check: "status IN ('pending', 'delivered', 'failed')",
+  });
+  pgm.createIndex('webhook_delivery', ['status', 'next_attempt_at']);
+  pgm.createIndex('webhook_delivery', [
+    'webhook_subscription_id',
+    'created_at',
+  ]);
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('webhook_delivery');
+  pgm.dropTable('webhook_alert_state');
+  pgm.dropTable('webhook_subscription');
+};
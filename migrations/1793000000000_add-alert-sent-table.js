@@ -0,0 +1,18 @@
+exports.up = (pgm) => {
+  // last time an alert was sent per dedupe key (eg stale_project:<project>),
+  // so handlers running every hour don't re-announce the same issue
+  pgm.createTable('alert_sent', {
+    dedupe_key: { type: 'text', primaryKey: true },
+    alert_type: { type: 'text', notNull: true },
+    last_sent_at: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.createIndex('alert_sent', ['last_sent_at']);
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('alert_sent');
+};
@@ -0,0 +1,49 @@
+const { PgLiteral } = require('node-pg-migrate');
+
+exports.up = (pgm) => {
+  // staleness episodes per project, maintained by the monitor handler
+  // (open while resolved_at is null, one open row per project)
+  pgm.createTable('stale_project', {
+    stale_project_id: {
+      type: 'uuid',
+      default: new PgLiteral('uuid_generate_v4()'),
+      primaryKey: true,
+    },
+    project: { type: 'text', notNull: true },
+    // max(config.updated_at) of the project's pools
+    last_update: { type: 'timestamptz', notNull: true },
+    nb_pools: { type: 'integer', notNull: true },
+    first_seen_stale: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+    last_seen_stale: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+    // escalation tier (see triggerMonitor)
+    tier: { type: 'integer', notNull: true, default: 1 },
+    alert_count: { type: 'integer', notNull: true, default: 0 },
+    last_alert_at: 'timestamptz',
+    acknowledged_by: 'text',
+    acknowledged_at: 'timestamptz',
+    // hidden projects are removed from /pools by the enrichment handler
+    hidden: { type: 'boolean', notNull: true, default: false },
+    hidden_reason: 'text',
+    hidden_at: 'timestamptz',
+    resolved_at: 'timestamptz',
+  });
+
+  pgm.createIndex('stale_project', ['project'], {
+    name: 'stale_project_open_unique',
+    unique: true,
+    where: 'resolved_at IS NULL',
+  });
+  pgm.createIndex('stale_project', ['project', 'first_seen_stale']);
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('stale_project');
+};
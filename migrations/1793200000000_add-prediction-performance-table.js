@@ -0,0 +1,40 @@
+exports.up = (pgm) => {
+  // accuracy of the apy runway predictions (predictions-hourly/dataEnriched_<ts>.json)
+  // against the realised apy, per prediction date and group
+  pgm.createTable('prediction_performance', {
+    // timestamp of the evaluated predictions file
+    prediction_timestamp: { type: 'timestamptz', notNull: true },
+    horizon_days: { type: 'integer', notNull: true },
+    // all, model, bin (binnedConfidence), project or chain
+    group_type: { type: 'text', notNull: true },
+    group_value: { type: 'text', notNull: true },
+    nb_predictions: { type: 'integer', notNull: true },
+    nb_hits: { type: 'integer', notNull: true },
+    // sum of predictedProbability / 100, hit rate vs mean probability gives the calibration
+    sum_probability: { type: 'numeric', notNull: true },
+    // nb of pools which realised as Down
+    nb_down: { type: 'integer', notNull: true },
+    created_at: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+
+  pgm.addConstraint('prediction_performance', 'prediction_performance_pkey', {
+    primaryKey: [
+      'prediction_timestamp',
+      'horizon_days',
+      'group_type',
+      'group_value',
+    ],
+  });
+  pgm.createIndex('prediction_performance', [
+    'group_type',
+    'prediction_timestamp',
+  ]);
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('prediction_performance');
+};
@@ -0,0 +1,21 @@
+exports.up = (pgm) => {
+  // hours between two funding payments, fundingRate and fundingRatePrevious are per interval
+  pgm.addColumns('perpetual', {
+    fundingIntervalHours: 'numeric',
+  });
+
+  // backfill with the venues' (default) intervals
+  pgm.sql(`
+    UPDATE
+        perpetual
+    SET
+        "fundingIntervalHours" = CASE
+            WHEN marketplace IN ('dYdX', 'GMX-arbitrum', 'GMX-avalanche') THEN 1
+            ELSE 8
+        END
+  `);
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('perpetual', ['fundingIntervalHours']);
+};
@@ -0,0 +1,53 @@
+const { PgLiteral } = require('node-pg-migrate');
+
+exports.up = (pgm) => {
+  // last run of each perp venue (src/perpetuals/<venue>.js), like adapter_stats
+  pgm.createTable('perp_venue_stats', {
+    venue: { type: 'text', primaryKey: true },
+    last_run_at: { type: 'timestamptz', notNull: true },
+    last_duration_ms: { type: 'integer', notNull: true },
+    last_status: { type: 'text', notNull: true },
+    last_error: 'text',
+    // last run which inserted rows, used for the perp_venue_stale alert
+    last_data_at: 'timestamptz',
+    created_at: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+
+  // append-only log of venue runs
+  pgm.createTable('perp_venue_run', {
+    perp_venue_run_id: {
+      type: 'uuid',
+      default: new PgLiteral('uuid_generate_v4()'),
+      primaryKey: true,
+    },
+    venue: { type: 'text', notNull: true },
+    started_at: { type: 'timestamptz', notNull: true },
+    finished_at: { type: 'timestamptz', notNull: true },
+    duration_ms: { type: 'integer', notNull: true },
+    status: { type: 'text', notNull: true },
+    error: 'text',
+    // nb of rows returned by the venue module
+    rows_returned: { type: 'integer', notNull: true },
+    // nb of rows which failed validation per reason, eg { "invalidFunding": 2 }
+    rows_dropped: 'jsonb',
+    // nb of rows written to the perpetual table
+    rows_inserted: { type: 'integer', notNull: true },
+  });
+
+  pgm.addConstraint('perp_venue_run', 'perp_venue_run_status_check', {
+    check: "status IN ('success', 'error', 'timeout')",
+  });
+  pgm.createIndex('perp_venue_run', [
+    'venue',
+    { name: 'started_at', sort: 'DESC' },
+  ]);
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('perp_venue_run');
+  pgm.dropTable('perp_venue_stats');
+};
@@ -0,0 +1,23 @@
+exports.up = (pgm) => {
+  // deliveries are claimed (status sending) before being posted, so concurrent runs
+  // (cron + enrichment) don't send them twice; a claim expires at locked_until in case
+  // the lambda dies mid-run, after which the delivery is picked up again
+  pgm.addColumns('webhook_delivery', {
+    locked_until: 'timestamptz',
+  });
+  pgm.dropConstraint('webhook_delivery', 'webhook_delivery_status_check');
+  pgm.addConstraint('webhook_delivery', 'webhook_delivery_status_check', {
+    check: "status IN ('pending', 'sending', 'delivered', 'failed')",
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.sql(
+    "UPDATE webhook_delivery SET status = 'pending' WHERE status = 'sending'"
+  );
+  pgm.dropConstraint('webhook_delivery', 'webhook_delivery_status_check');
+  pgm.addConstraint('webhook_delivery', 'webhook_delivery_status_check', {
+    check: "status IN ('pending', 'delivered', 'failed')",
+  });
+  pgm.dropColumns('webhook_delivery', ['locked_until']);
+};
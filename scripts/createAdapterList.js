@@ -5,6 +5,12 @@ function main(){
       .readdirSync('./src/adaptors')
       .filter((el) => !el.includes('js') && el !== '.DS_Store' && !el.includes('package')).map(t=>`"${t}"`).join(",")
     fs.writeFileSync("./src/adaptors/list.js", "module.exports = [" + adapters + "]")
+
+    // perp venues, one module per venue in src/perpetuals (run by triggerPerpetuals)
+    const venues = fs
+      .readdirSync('./src/perpetuals')
+      .filter((el) => el.endsWith('.js') && el !== 'list.js').map(t=>`"${t.replace('.js', '')}"`).join(",")
+    fs.writeFileSync("./src/perpetuals/list.js", "module.exports = [" + venues + "]")
 }
 
 main()
\ No newline at end of file
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+/**
+ * Compares an adaptor's latest test output against a baseline and reports:
+ * - added/removed pool ids (a removed id orphans the pool's history)
+ * - symbol changes
+ * - apy deltas (absolute, in % points) and tvl deltas (relative) above the thresholds
+ *
+ * The test harness writes each run to .test-adapter-output/<adapter>.json (see src/adaptors/beforeTests.js).
+ *
+ * Usage: node scripts/diffAdapterOutput.js <adapter> [options]
+ *   --save                 store the current output as the baseline (run this on master before your changes)
+ *   --baseline <file>      baseline file (default: .test-adapter-output/baseline/<adapter>.json)
+ *   --prod                 use the project's current production pools from yields.llama.fi as baseline
+ *   --apy-threshold <n>    report apy changes larger than n % points (default: 1)
+ *   --tvl-threshold <n>    report tvl changes larger than n, relative (default: 0.1 = 10%)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { boundaries } = require('../src/utils/exclude');
+const utils = require('../src/adaptors/utils');
+
+const OUTPUT_DIR = path.join(__dirname, '../.test-adapter-output');
+
+const args = process.argv.slice(2);
+const valueOptions = ['--baseline', '--apy-threshold', '--tvl-threshold'];
+const adapter = args.find(
+  (a, i) => !a.startsWith('--') && !valueOptions.includes(args[i - 1])
+);
+const getOption = (name, def) => {
+  const i = args.indexOf(`--${name}`);
+  return i === -1 ? def : args[i + 1];
+};
+
+if (!adapter) {
+  console.log(
+    'Usage: node scripts/diffAdapterOutput.js <adapter> [--save] [--baseline <file>] [--prod] [--apy-threshold 1] [--tvl-threshold 0.1]'
+  );
+  process.exit(1);
+}
+
+const currentPath = path.join(OUTPUT_DIR, `${adapter}.json`);
+const baselinePath = getOption(
+  'baseline',
+  path.join(OUTPUT_DIR, 'baseline', `${adapter}.json`)
+);
+const apyThreshold = Number(getOption('apy-threshold', 1));
+const tvlThreshold = Number(getOption('tvl-threshold', 0.1));
+const isProd = args.includes('--prod');
+
+if (!fs.existsSync(currentPath)) {
+  console.error(
+    `No output found at ${currentPath}, run npm run test --adapter=${adapter} first`
+  );
+  process.exit(1);
+}
+const current = JSON.parse(fs.readFileSync(currentPath));
+
+// the adaptor's raw chain/symbol, formatted as the adaptor handler does before storing them
+// (triggerAdaptor.js), so they compare to the production values
+const formatPool = (p) => ({
+  ...p,
+  chain: utils.formatChain(p.chain),
+  symbol: ['usdc+', 'eth+', 'usdex+', 'usd0++', 'arb++'].some((i) =>
+    p.symbol.toLowerCase().includes(i)
+  )
+    ? p.symbol
+    : utils.formatSymbol(p.symbol),
+});
+
+if (args.includes('--save')) {
+  fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+  fs.copyFileSync(currentPath, baselinePath);
+  console.log(`Saved baseline: ${baselinePath} (${current.length} pools)`);
+  process.exit(0);
+}
+
+// production pools of the project, mapped back from configID to the adaptor's pool id
+const getProdPools = async (project) => {
+  const [pools, distinctID] = await Promise.all(
+    ['https://yields.llama.fi/pools', 'https://yields.llama.fi/distinctID'].map(
+      async (url) => {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+        return response.json();
+      }
+    )
+  );
+  const poolIds = new Map(distinctID.map((p) => [p.config_id, p.pool]));
+
+  return pools.data
+    .filter((p) => p.project === project)
+    .map((p) => ({ ...p, pool: poolIds.get(p.pool) ?? p.pool }));
+};
+
+const fmt = (n) =>
+  Number.isFinite(n)
+    ? n.toLocaleString('en-US', { maximumFractionDigits: 2 })
+    : n;
+
+const summarise = ({ pool, symbol, chain, tvlUsd }) => ({
+  pool,
+  symbol,
+  chain,
+  tvlUsd: fmt(tvlUsd),
+});
+
+const main = async () => {
+  const project = current[0]?.project ?? adapter;
+
+  let baseline;
+  if (isProd) {
+    baseline = await getProdPools(project);
+  } else {
+    if (!fs.existsSync(baselinePath)) {
+      console.error(
+        `No baseline found at ${baselinePath}, create one with --save (or use --prod)`
+      );
+      process.exit(1);
+    }
+    baseline = JSON.parse(fs.readFileSync(baselinePath));
+  }
+
+  // /pools only contains pools above the UI tvl threshold, so don't report smaller ones as added
+  const next = isProd
+    ? current.filter((p) => p.tvlUsd >= boundaries.tvlUsdUI.lb).map(formatPool)
+    : current;
+
+  const prevById = new Map(baseline.map((p) => [p.pool, p]));
+  const nextById = new Map(next.map((p) => [p.pool, p]));
+
+  const added = next.filter((p) => !prevById.has(p.pool));
+  const removed = baseline.filter((p) => !nextById.has(p.pool));
+
+  const symbolChanges = [];
+  const apyChanges = [];
+  const tvlChanges = [];
+  for (const p of next) {
+    const prev = prevById.get(p.pool);
+    if (!prev) continue;
+
+    if (prev.symbol !== p.symbol)
+      symbolChanges.push({
+        pool: p.pool,
+        before: prev.symbol,
+        after: p.symbol,
+      });
+
+    const apy = p.apy ?? (p.apyBase ?? 0) + (p.apyReward ?? 0);
+    const apyPrev = prev.apy ?? (prev.apyBase ?? 0) + (prev.apyReward ?? 0);
+    if (Math.abs(apy - apyPrev) > apyThreshold)
+      apyChanges.push({
+        pool: p.pool,
+        symbol: p.symbol,
+        before: fmt(apyPrev),
+        after: fmt(apy),
+        delta: fmt(apy - apyPrev),
+      });
+
+    const tvlDelta = prev.tvlUsd
+      ? (p.tvlUsd - prev.tvlUsd) / prev.tvlUsd
+      : p.tvlUsd
+      ? Infinity
+      : 0;
+    if (Math.abs(tvlDelta) > tvlThreshold)
+      tvlChanges.push({
+        pool: p.pool,
+        symbol: p.symbol,
+        before: fmt(prev.tvlUsd),
+        after: fmt(p.tvlUsd),
+        deltaPct: fmt(tvlDelta * 100),
+      });
+  }
+
+  console.log(
+    `\n${adapter}: ${baseline.length} pools in baseline (${
+      isProd ? 'production' : baselinePath
+    }), ${next.length} pools in current output\n`
+  );
+
+  const sections = [
+    ['Added pool ids', added.map(summarise)],
+    [
+      'Removed pool ids (history of these pools will be orphaned)',
+      removed.map(summarise),
+    ],
+    ['Symbol changes', symbolChanges],
+    [`APY changes > ${apyThreshold} % points`, apyChanges],
+    [`TVL changes > ${tvlThreshold * 100}%`, tvlChanges],
+  ];
+  for (const [title, rows] of sections) {
+    console.log(`${title}: ${rows.length}`);
+    if (rows.length) console.table(rows);
+  }
+};
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Runs the yield pipeline locally, without lambda/sqs/s3:
+ * 1. entrypoint: adaptor selection (or --adapters)
+ * 2. adaptors: triggerAdaptor for each adaptor, in-process instead of via the sqs queue
+ * 3. enrichment, stat, median handlers
+ *
+ * Data goes to the postgres db in DATABASE_URL (config.env), files which would be written
+ * to s3/r2 go to LOCAL_STORAGE_DIR (default: .local-storage/). Afterwards serve the result with:
+ *   LOCAL_STORAGE_DIR=.local-storage npm run start:api
+ *
+ * Setup: create a local db, run `npm run migrate up` and `node scripts/createAdapterList.js`
+ *
+ * Usage: node scripts/runPipeline.js [--adapters aave-v3,lido] [--skip stat,median]
+ */
+
+const path = require('path');
+
+process.env.LOCAL_STORAGE_DIR ??= path.join(__dirname, '../.local-storage');
+// enrichment writes to BUCKET_DATA, stat/median/api read from llama-apy-prod-data
+process.env.BUCKET_DATA ??= 'llama-apy-prod-data';
+// alerts (tvl spikes, new projects) go to a file instead of discord
+process.env.ALERT_ROUTES ??= JSON.stringify({
+  '*': [
+    {
+      type: 'file',
+      path: path.join(process.env.LOCAL_STORAGE_DIR, 'alerts.log'),
+    },
+  ],
+});
+
+// predictions come from the in-process baseline model instead of the prediction api
+process.env.PREDICTION_MODEL ??= 'baseline';
+
+const args = process.argv.slice(2);
+const usage =
+  'Usage: node scripts/runPipeline.js [--adapters aave-v3,lido] [--skip stat,median]';
+const getOption = (name) => {
+  const i = args.indexOf(`--${name}`);
+  if (i === -1) return [];
+  const value = args[i + 1];
+  if (value === undefined || value.startsWith('--')) {
+    console.log(`--${name} needs a comma separated list\n${usage}`);
+    process.exit(1);
+  }
+  return value.split(',');
+};
+const adaptorsArg = getOption('adapters');
+const skip = getOption('skip');
+
+const step = async (name, fn) => {
+  if (skip.includes(name)) return console.log(`\n---------- skipping ${name}`);
+  console.log(`\n---------- ${name}`);
+  const start = Date.now();
+  await fn();
+  console.log(`---------- ${name} done in ${(Date.now() - start) / 1e3}s`);
+};
+
+const main = async () => {
+  const adaptors = adaptorsArg.length
+    ? adaptorsArg
+    : await require('../src/handlers/triggerEntrypoint').getAdaptors();
+
+  await step('adaptors', async () => {
+    const triggerAdaptor = require('../src/handlers/triggerAdaptor');
+    for (const adaptor of adaptors) {
+      // same shape as the sqs event the lambda receives
+      await triggerAdaptor.handler(
+        { Records: [{ body: JSON.stringify({ adaptor }) }] },
+        {}
+      );
+    }
+  });
+  await step('enrichment', () =>
+    require('../src/handlers/triggerEnrichment').handler({}, {})
+  );
+  await step('stat', () =>
+    require('../src/handlers/triggerStat').handler({}, {})
+  );
+  await step('median', () =>
+    require('../src/handlers/triggerMedian').handler({}, {})
+  );
+
+  console.log(
+    `\nDone, serve the data with: LOCAL_STORAGE_DIR=${process.env.LOCAL_STORAGE_DIR} npm run start:api`
+  );
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -2,6 +2,8 @@ const path = require('path');
 const axios = require('axios');
 const fs = require('fs');
 
+const replay = require('./replay');
+
 try {
   const envPath = path.resolve(__dirname, '../../config.env');
   require('dotenv').config({ path: envPath });
@@ -24,6 +26,11 @@ module.exports = async function () {
   const adapter = process.env.npm_config_adapter;
   const timestamp = process.env.npm_config_timestamp;
   const isFast = !!process.env.npm_config_fast;
+  const replayMode = process.env.npm_config_replay
+    ? 'replay'
+    : process.env.npm_config_record
+    ? 'record'
+    : null;
   if (!adapter) {
     console.error(
       `Missing argument, you need to provide the adapter name. Eg: npm run test --adapter=aave-v2`
@@ -57,6 +64,9 @@ module.exports = async function () {
     process.exit(1);
   }
 
+  // patch the http/rpc clients before the adapter (and its deps) get loaded
+  if (replayMode) replay.setup(adapter, replayMode);
+
   const module = require(resolvedAdapterPath);
 
   global.adapter = adapter;
@@ -89,4 +99,6 @@ module.exports = async function () {
         .map((p) => [p.pool, p.project])
     );
   }
+
+  replay.save();
 };
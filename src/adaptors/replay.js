@@ -0,0 +1,222 @@
+// record/replay layer for the adaptor test harness
+// - record (`npm run test --adapter=x --record`): runs against the live apis and stores every
+//   axios, fetch (graphql-request) and @defillama/sdk call + response to the adapter's fixture file
+// - replay (`npm run test --adapter=x --replay`): serves those responses instead, without network,
+//   so the adapter output is reproducible and can be diffed against a golden file
+// note: calls made outside of these clients (eg direct ethers providers, sdk.ChainApi) aren't covered
+const path = require('path');
+const fs = require('fs');
+const axios = require('axios');
+
+const fixturesDir = path.resolve(__dirname, '../../.test-adapter-fixtures');
+
+// sdk functions which hit an rpc or an api (pure helpers like sdk.graph.modifyEndpoint aren't wrapped)
+const sdkNamespaces = [
+  'api.abi',
+  'api.erc20',
+  'api.eth',
+  'api.util',
+  'api2.abi',
+  'api2.erc20',
+  'api2.util',
+  'blocks',
+];
+
+let state = null;
+
+const getFixturePath = (adapter) =>
+  path.join(fixturesDir, `${adapter.replace(/[\\/]/g, '_')}.json`);
+
+// json with sorted object keys, so the same request always maps to the same key
+const stableStringify = (value) =>
+  JSON.stringify(value, (_, v) =>
+    v && typeof v === 'object' && !Array.isArray(v) && !Buffer.isBuffer(v)
+      ? Object.fromEntries(
+          Object.keys(v)
+            .sort()
+            .map((k) => [k, v[k]])
+        )
+      : typeof v === 'bigint'
+      ? v.toString()
+      : v
+  );
+
+// api keys are often passed in urls, never write them to a fixture
+const redact = (key) =>
+  Object.entries(process.env)
+    .filter(
+      ([name, v]) =>
+        /KEY|SECRET|TOKEN|PASSWORD|RPC|URL/i.test(name) && v?.length >= 8
+    )
+    .reduce((acc, [, secret]) => acc.split(secret).join('<redacted>'), key);
+
+const toKey = (type, request) => redact(`${type} ${stableStringify(request)}`);
+
+const store = (key, response) => {
+  state.fixtures.calls[key] = [...(state.fixtures.calls[key] ?? []), response];
+};
+
+// identical requests are answered in recorded order, the last response is reused once exhausted
+const lookup = (key) => {
+  const responses = state.fixtures.calls[key];
+  if (!responses?.length)
+    throw new Error(`replay: no fixture for ${key.slice(0, 500)}`);
+  const i = state.served[key] ?? 0;
+  state.served[key] = i + 1;
+  return responses[Math.min(i, responses.length - 1)];
+};
+
+// ---------- axios
+const axiosRequestKey = (config) => {
+  const url = axios.getUri(config);
+  let data = config.data;
+  try {
+    data = typeof data === 'string' ? JSON.parse(data) : data;
+  } catch (e) {}
+  return toKey('axios', {
+    method: (config.method ?? 'get').toLowerCase(),
+    url,
+    data: data ?? null,
+  });
+};
+
+const patchAxios = () => {
+  const httpAdapter = axios.getAdapter(axios.defaults.adapter);
+
+  // instances created with axios.create inherit the default adapter
+  axios.defaults.adapter = async (config) => {
+    const key = axiosRequestKey(config);
+
+    if (state.mode === 'record') {
+      const response = await httpAdapter(config);
+      store(key, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: { ...response.headers },
+        data: response.data,
+      });
+      return response;
+    }
+
+    const recorded = lookup(key);
+    const response = { ...recorded, config, request: {} };
+    const validateStatus = config.validateStatus;
+    if (validateStatus && !validateStatus(response.status))
+      throw new axios.AxiosError(
+        `Request failed with status code ${response.status}`,
+        axios.AxiosError.ERR_BAD_RESPONSE,
+        config,
+        null,
+        response
+      );
+    return response;
+  };
+};
+
+// ---------- fetch (used by graphql-request)
+const patchFetch = () => {
+  const realFetch = globalThis.fetch;
+
+  globalThis.fetch = async (input, init = {}) => {
+    const request = new Request(input, init);
+    const body =
+      init.body ?? (request.body ? await request.clone().text() : null);
+    const key = toKey('fetch', {
+      method: request.method.toLowerCase(),
+      url: request.url,
+      body: typeof body === 'string' ? body : null,
+    });
+
+    if (state.mode === 'record') {
+      const response = await realFetch(input, init);
+      store(key, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: Object.fromEntries(response.headers.entries()),
+        body: await response.clone().text(),
+      });
+      return response;
+    }
+
+    const { status, statusText, headers, body: recordedBody } = lookup(key);
+    return new Response(recordedBody, { status, statusText, headers });
+  };
+};
+
+// ---------- @defillama/sdk
+const patchSdk = () => {
+  const sdk = require('@defillama/sdk');
+
+  for (const ns of sdkNamespaces) {
+    const target = ns.split('.').reduce((acc, k) => acc?.[k], sdk);
+    if (!target) continue;
+
+    for (const [name, fn] of Object.entries(target)) {
+      if (typeof fn !== 'function') continue;
+
+      target[name] = async (...args) => {
+        const key = toKey(`sdk.${ns}.${name}`, args);
+
+        if (state.mode === 'record') {
+          const result = await fn(...args);
+          store(key, { result });
+          return result;
+        }
+
+        return lookup(key).result;
+      };
+    }
+  }
+};
+
+// time is frozen on the recording's timestamp so that time dependent requests
+// (eg block lookups for t-24h) produce the same keys on replay
+const freezeTime = (ts) => {
+  const RealDate = Date;
+  class FrozenDate extends RealDate {
+    constructor(...args) {
+      super(...(args.length ? args : [ts]));
+    }
+
+    static now() {
+      return ts;
+    }
+  }
+  global.Date = FrozenDate;
+};
+
+// needs to run before the adapter module is required
+const setup = (adapter, mode) => {
+  const fixturePath = getFixturePath(adapter);
+
+  let fixtures = { recordedAt: Date.now(), calls: {} };
+  if (mode === 'replay') {
+    if (!fs.existsSync(fixturePath)) {
+      console.error(
+        `No fixtures found at ${fixturePath}, record them first with npm run test --adapter=${adapter} --record`
+      );
+      process.exit(1);
+    }
+    fixtures = JSON.parse(fs.readFileSync(fixturePath));
+    freezeTime(fixtures.recordedAt);
+  }
+
+  state = { mode, fixturePath, fixtures, served: {} };
+  patchAxios();
+  patchFetch();
+  patchSdk();
+};
+
+// write the recorded calls to the adapter's fixture file
+const save = () => {
+  if (state?.mode !== 'record') return;
+  fs.mkdirSync(fixturesDir, { recursive: true });
+  fs.writeFileSync(state.fixturePath, JSON.stringify(state.fixtures));
+  console.log(
+    `Recorded ${Object.keys(state.fixtures.calls).length} request(s) to ${
+      state.fixturePath
+    }`
+  );
+};
+
+module.exports = { setup, save };
@@ -73,7 +73,8 @@ const fetchPriceChunk = async (keyChunk) => {
   }
 };
 
-const getPriceApiCoins = async (keys) => {
+// keys of chunks which failed after all attempts are added to `failedKeys` (a Set) if given
+const getPriceApiCoins = async (keys, failedKeys) => {
   const coins = {};
 
   for (const batch of chunk(chunkPriceKeys(keys), PRICE_REQUEST_CONCURRENCY)) {
@@ -81,6 +82,7 @@ const getPriceApiCoins = async (keys) => {
 
     results.forEach((result, i) => {
       if (result.status === 'fulfilled') return Object.assign(coins, result.value);
+      batch[i].forEach((key) => failedKeys?.add(key));
       console.error(
         `getPriceApiCoins: ${batch[i].length} keys unpriced after ${PRICE_REQUEST_ATTEMPTS} attempts (${batch[i][0]}...):`,
         result.reason?.message || result.reason
@@ -799,6 +801,151 @@ exports.getERC4626Info = async (
   };
 };
 
+///////// TOKEN METADATA
+
+// failed lookups (no symbol/decimals found) are negative-cached via last_attempt_at
+// and only retried after this delay
+const TOKEN_METADATA_RETRY_MS = 24 * 60 * 60 * 1000;
+const TOKEN_METADATA_CHUNK_SIZE = 2000;
+
+// evm addresses are case-insensitive, everything else (solana, sui etc) is kept as is
+const normaliseToken = ({ chain, address }) => {
+  const a = String(address);
+  return {
+    chain: String(chain).toLowerCase(),
+    address: /^0x[0-9a-fA-F]{40}$/.test(a) ? a.toLowerCase() : a,
+  };
+};
+
+const getTokenMetadataKey = (token) => {
+  const { chain, address } = normaliseToken(token);
+  return `${chain}:${address}`;
+};
+
+exports.getTokenMetadataKey = getTokenMetadataKey;
+
+// coins api first (covers non-evm chains), erc20 calls for remaining evm tokens.
+// returns the resolved tokens and the keys whose lookup failed (api/rpc errors), as
+// opposed to tokens which were looked up but are unknown
+const fetchTokenMetadata = async (tokens) => {
+  const found = {};
+  const failed = new Set();
+
+  const coins = await getPriceApiCoins(tokens.map(getTokenMetadataKey), failed);
+  for (const [key, coin] of Object.entries(coins)) {
+    if (!coin.symbol || !Number.isFinite(coin.decimals)) continue;
+    found[getTokenMetadataKey({
+      chain: key.split(':')[0],
+      address: key.slice(key.indexOf(':') + 1),
+    })] = { symbol: coin.symbol, decimals: coin.decimals };
+  }
+
+  const missing = tokens.filter(
+    (t) =>
+      !found[getTokenMetadataKey(t)] && /^0x[0-9a-f]{40}$/.test(t.address)
+  );
+  for (const chain of [...new Set(missing.map((t) => t.chain))]) {
+    const addresses = missing
+      .filter((t) => t.chain === chain)
+      .map((t) => t.address);
+    try {
+      const [symbols, decimals, names] = await Promise.all(
+        ['erc20:symbol', 'erc20:decimals', 'erc20:name'].map((abi) =>
+          makeMulticall(abi, addresses, chain)
+        )
+      );
+      addresses.forEach((address, i) => {
+        if (!symbols[i] || decimals[i] === null) return;
+        found[getTokenMetadataKey({ chain, address })] = {
+          symbol: symbols[i],
+          name: names[i],
+          decimals: Number(decimals[i]),
+        };
+      });
+    } catch (err) {
+      addresses.forEach((address) =>
+        failed.add(getTokenMetadataKey({ chain, address }))
+      );
+      console.log(`token metadata: erc20 calls failed on ${chain}`, err.message);
+    }
+  }
+
+  return { found, failed };
+};
+
+// resolve symbol, name and decimals for a list of { chain, address } (chain as in the coins api),
+// reading through the token_metadata table. returns a Map keyed by getTokenMetadataKey
+exports.resolveTokenMetadata = async (tokens) => {
+  // required lazily: adaptor tests run without db dependencies installed
+  const {
+    getTokenMetadata,
+    upsertTokenMetadata,
+  } = require('../queries/tokenMetadata');
+
+  const unique = [
+    ...new Map(
+      tokens
+        .filter((t) => t.chain && t.address)
+        .map(normaliseToken)
+        .map((t) => [getTokenMetadataKey(t), t])
+    ).values(),
+  ];
+
+  const metadata = new Map();
+  for (const batch of chunkArray(unique, TOKEN_METADATA_CHUNK_SIZE)) {
+    for (const row of await getTokenMetadata(batch)) {
+      metadata.set(getTokenMetadataKey(row), row);
+    }
+  }
+
+  const now = Date.now();
+  const stale = unique.filter((t) => {
+    const row = metadata.get(getTokenMetadataKey(t));
+    if (!row) return true;
+    if (row.symbol !== null && row.decimals !== null) return false;
+    return (
+      row.last_attempt_at === null ||
+      now - new Date(row.last_attempt_at) >= TOKEN_METADATA_RETRY_MS
+    );
+  });
+
+  if (stale.length) {
+    const { found, failed } = await fetchTokenMetadata(stale);
+    // unresolved tokens are only negative-cached if their lookup went through,
+    // tokens missed because of an outage are retried on the next run
+    const payload = stale
+      .filter((t) => {
+        const key = getTokenMetadataKey(t);
+        return found[key] || !failed.has(key);
+      })
+      .map((t) => ({
+        ...t,
+        ...found[getTokenMetadataKey(t)],
+        last_attempt_at: new Date(now),
+      }));
+    for (const batch of chunkArray(payload, TOKEN_METADATA_CHUNK_SIZE)) {
+      await upsertTokenMetadata(batch);
+    }
+    for (const p of payload) {
+      const key = getTokenMetadataKey(p);
+      const row = metadata.get(key) ?? {};
+      metadata.set(key, {
+        ...p,
+        symbol: p.symbol ?? row.symbol ?? null,
+        name: p.name ?? row.name ?? null,
+        decimals: p.decimals ?? row.decimals ?? null,
+      });
+    }
+  }
+
+  return new Map(
+    [...metadata.entries()].map(([key, { symbol, name, decimals }]) => [
+      key,
+      { symbol, name, decimals },
+    ])
+  );
+};
+
 // solana
 exports.getTotalSupply = async (tokenMintAddress) => {
   const rpcUrl = 'https://api.mainnet-beta.solana.com';
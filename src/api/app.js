@@ -12,7 +12,15 @@ const perp = require('./routes/perp');
 const enriched = require('./routes/enriched');
 const lsd = require('./routes/lsd');
 const pools = require('./routes/pools');
+const canary = require('./routes/canary');
+const holder = require('./routes/holder');
+const adapters = require('./routes/adapters');
+const quarantine = require('./routes/quarantine');
+const webhooks = require('./routes/webhooks');
+const staleAdapters = require('./routes/staleAdapters');
+const predictions = require('./routes/predictions');
 const { getCacheDates } = require('../utils/headers');
+const { getFormat } = require('../utils/export');
 const tokenAddress = require('./routes/tokenAddress');
 
 const app = express();
@@ -21,6 +29,8 @@ app.use(helmet());
 app.use(express.json());
 
 async function redisCache (req, res, next) {
+  // the cache is keyed by url only, csv/parquet responses (eg via accept header) bypass it
+  if (getFormat(req) !== 'json') return next()
   const lastCacheUpdate = await redis.get("lastUpdate#"+req.url).catch(() => null)
   const {headers, nextCacheDate} = getCacheDates()
   const cacheObject = lastCacheUpdate !== null && Number(lastCacheUpdate) > (nextCacheDate.getTime() - 3600e3)
@@ -47,10 +57,12 @@ async function redisCache (req, res, next) {
 }
 
 app.use('/', [tokenAddress]);
+// review, webhook management and staleness routes, never cached
+app.use('/', [quarantine, webhooks, staleAdapters]);
 
 app.use(redisCache)
 
-app.use('/', [yieldRoutes, config, median, perp, enriched, lsd, pools]);
+app.use('/', [yieldRoutes, config, median, perp, enriched, lsd, pools, canary, holder, adapters, predictions]);
 
 function errorHandler (err, req, res, next) {
   console.log(err)
@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+// guards write/review routes: requires the `x-api-key` header to match ADMIN_API_KEY
+// (all requests are rejected when ADMIN_API_KEY isn't set)
+const requireAdminKey = (req, res, next) => {
+  const expected = Buffer.from(process.env.ADMIN_API_KEY ?? '');
+  const provided = Buffer.from(req.get('x-api-key') ?? '');
+  if (
+    !expected.length ||
+    provided.length !== expected.length ||
+    !crypto.timingSafeEqual(provided, expected)
+  )
+    return res.status(401).json('unauthorized!');
+
+  next();
+};
+
+module.exports = { requireAdminKey };
@@ -0,0 +1,56 @@
+// no db or s3 for the query param parsing
+jest.mock('../../db', () => ({ conn: {} }));
+jest.mock('../../../utils/s3', () => ({}));
+
+const { parseRange } = require('../perp');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('parseRange', () => {
+  test('defaults to daily over the default number of days up to now', () => {
+    const before = Date.now();
+    const range = parseRange({}, 30);
+    expect(range.unit).toBe('day');
+    expect(range.to.getTime()).toBeGreaterThanOrEqual(before);
+    expect(range.to - range.from).toBe(30 * DAY);
+  });
+
+  test('maps resolutions to date_trunc units', () => {
+    expect(parseRange({ resolution: 'hourly' }, 7).unit).toBe('hour');
+    expect(parseRange({ resolution: 'weekly' }, 7).unit).toBe('week');
+  });
+
+  test('accepts unix seconds and date strings', () => {
+    const range = parseRange({ from: '1704067200', to: '2024-02-01' }, 30);
+    expect(range.from.toISOString()).toBe('2024-01-01T00:00:00.000Z');
+    expect(range.to.toISOString()).toBe('2024-02-01T00:00:00.000Z');
+  });
+
+  test('counts the default range back from `to`', () => {
+    const range = parseRange({ to: '2024-02-01' }, 10);
+    expect(range.from.toISOString()).toBe('2024-01-22T00:00:00.000Z');
+  });
+
+  test.each([
+    [{ resolution: 'monthly' }, 'invalid resolution!'],
+    [{ resolution: 'toString' }, 'invalid resolution!'],
+    [{ resolution: ['hourly', 'daily'] }, 'invalid resolution!'],
+    [{ from: 'yesterday' }, 'invalid date!'],
+    [{ to: ['1704067200', '1704067200'] }, 'invalid date!'],
+  ])('rejects %j', (query, error) => {
+    expect(parseRange(query, 30)).toEqual({ error });
+  });
+
+  test('caps hourly ranges', () => {
+    expect(parseRange({ resolution: 'hourly' }, 31).error).toBeUndefined();
+    expect(parseRange({ resolution: 'hourly' }, 32)).toEqual({
+      error: 'hourly resolution is limited to 31 days!',
+    });
+    expect(
+      parseRange(
+        { resolution: 'hourly', from: '2024-01-01', to: '2024-03-01' },
+        7
+      ).error
+    ).toBe('hourly resolution is limited to 31 days!');
+  });
+});
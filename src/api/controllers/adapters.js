@@ -0,0 +1,253 @@
+const validator = require('validator');
+
+const AppError = require('../../utils/appError');
+const { conn } = require('../db');
+
+// parse a positive integer query param, falling back to `def` and capped at `max`
+const parseIntParam = (value, def, max) => {
+  if (value === undefined) return def;
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? Math.min(n, max) : null;
+};
+
+// health overview per adapter over the last n days
+const getAdaptersStatus = async (req, res) => {
+  const days = parseIntParam(req.query.days, 7, 90);
+  if (days === null) return res.status(400).json('invalid days!');
+
+  const query = `
+    SELECT
+        adapter,
+        count(*) AS runs,
+        round(avg((status = 'success')::int) * 100, 2) AS success_rate,
+        percentile_cont(0.95) WITHIN GROUP (ORDER BY duration_ms) AS p95_duration_ms,
+        max(started_at) AS last_run_at,
+        max(started_at) FILTER (WHERE status = 'success') AS last_good_at,
+        (array_agg(status ORDER BY started_at DESC))[1] AS last_status,
+        (array_agg(error ORDER BY started_at DESC))[1] AS last_error,
+        (array_agg(pools_inserted ORDER BY started_at DESC))[1] AS last_pools_inserted
+    FROM
+        adapter_run
+    WHERE
+        started_at >= NOW() - INTERVAL '$<days> DAY'
+    GROUP BY
+        adapter
+    ORDER BY
+        adapter
+    `;
+
+  const response = await conn.query(query, { days });
+
+  if (!response) {
+    return new AppError(`Couldn't get data`, 404);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: response,
+  });
+};
+
+// latest runs of a single adapter
+const getAdapterRuns = async (req, res) => {
+  const adapter = req.params.adapter;
+  const limit = parseIntParam(req.query.limit, 100, 1000);
+  if (limit === null) return res.status(400).json('invalid limit!');
+
+  const query = `
+    SELECT
+        adapter_run_id,
+        started_at,
+        finished_at,
+        duration_ms,
+        status,
+        error,
+        pools_returned,
+        pools_dropped,
+        pools_inserted
+    FROM
+        adapter_run
+    WHERE
+        adapter = $<adapter>
+    ORDER BY
+        started_at DESC
+    LIMIT
+        $<limit>
+    `;
+
+  const response = await conn.query(query, { adapter, limit });
+
+  if (!response) {
+    return new AppError(`Couldn't get data`, 404);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: response,
+  });
+};
+
+// pools removed by the filter stages of an adapter run (latest run by default)
+const getAdapterDrops = async (req, res) => {
+  const adapter = req.params.adapter;
+  const runId = req.query.run;
+  // a repeated ?run= param is parsed as an array
+  if (
+    runId !== undefined &&
+    (typeof runId !== 'string' || !validator.isUUID(runId))
+  )
+    return res.status(400).json('invalid run id!');
+
+  const runQuery = `
+    SELECT
+        adapter_run_id,
+        started_at,
+        status,
+        pools_returned,
+        pools_dropped,
+        pools_inserted
+    FROM
+        adapter_run
+    WHERE
+        adapter = $<adapter>
+        ${runId === undefined ? '' : 'AND adapter_run_id = $<runId>'}
+    ORDER BY
+        started_at DESC
+    LIMIT
+        1
+    `;
+  const run = await conn.oneOrNone(runQuery, { adapter, runId });
+
+  if (!run) {
+    return res.status(404).json('no run found!');
+  }
+
+  const dropsQuery = `
+    SELECT
+        pool,
+        stage,
+        reason
+    FROM
+        adapter_run_drop
+    WHERE
+        adapter_run_id = $<adapterRunId>
+    ORDER BY
+        stage,
+        pool
+    `;
+  const drops = await conn.query(dropsQuery, {
+    adapterRunId: run.adapter_run_id,
+  });
+
+  // eg "12 pools dropped: 9 tvlBounds, 3 spike"
+  const counts = Object.entries(run.pools_dropped ?? {}).sort(
+    (a, b) => b[1] - a[1]
+  );
+  const total = counts.reduce((acc, [, n]) => acc + n, 0);
+  const summary = total
+    ? `${total} pools dropped: ${counts
+        .map(([stage, n]) => `${n} ${stage}`)
+        .join(', ')}`
+    : 'no pools dropped';
+
+  res.status(200).json({
+    status: 'success',
+    data: { ...run, summary, drops },
+  });
+};
+
+// staleness episodes tracked by the monitor handler: currently stale projects by default,
+// ?history=true adds the resolved episodes of the last n days
+const getStaleAdapters = async (req, res) => {
+  const history = req.query.history === 'true';
+  const days = parseIntParam(req.query.days, 30, 365);
+  if (days === null) return res.status(400).json('invalid days!');
+
+  const query = `
+    SELECT
+        project,
+        last_update,
+        round(
+            (
+                extract(epoch FROM COALESCE(resolved_at, NOW()) - last_update) / 3600
+            )::numeric,
+            1
+        ) AS stale_hours,
+        nb_pools,
+        first_seen_stale,
+        last_seen_stale,
+        tier,
+        alert_count,
+        last_alert_at,
+        acknowledged_by,
+        acknowledged_at,
+        hidden,
+        hidden_reason,
+        hidden_at,
+        resolved_at
+    FROM
+        stale_project
+    WHERE
+        resolved_at IS NULL
+        ${history ? "OR resolved_at >= NOW() - INTERVAL '$<days> DAY'" : ''}
+    ORDER BY
+        resolved_at DESC NULLS FIRST,
+        last_update ASC
+    `;
+
+  const response = await conn.query(query, { days });
+
+  if (!response) {
+    return new AppError(`Couldn't get data`, 404);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: response,
+  });
+};
+
+// acknowledging a stale project stops the daily reminders (escalations are still sent)
+const acknowledgeStaleAdapter = async (req, res) => {
+  const by = req.body?.by;
+  if (typeof by !== 'string' || !by) return res.status(400).json('invalid by!');
+
+  const query = `
+    UPDATE
+        stale_project
+    SET
+        acknowledged_by = $<by>,
+        acknowledged_at = NOW()
+    WHERE
+        project = $<project>
+        AND resolved_at IS NULL
+    RETURNING
+        project,
+        tier,
+        hidden,
+        acknowledged_by,
+        acknowledged_at
+    `;
+
+  const response = await conn.oneOrNone(query, {
+    project: req.params.adapter,
+    by,
+  });
+
+  if (!response) {
+    return res.status(404).json('project is not stale!');
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: response,
+  });
+};
+
+module.exports = {
+  getAdaptersStatus,
+  getAdapterRuns,
+  getAdapterDrops,
+  getStaleAdapters,
+  acknowledgeStaleAdapter,
+};
@@ -0,0 +1,135 @@
+const validator = require('validator');
+
+const AppError = require('../../utils/appError');
+const { conn } = require('../db');
+
+const returnColumns = `
+        r.time_window,
+        r.timestamp,
+        r.days_elapsed,
+        r.actual_total_apy,
+        r.actual_base_apy,
+        r.actual_reward_apy,
+        r.actual_total_apy - r.deviation_total_pct AS reported_apy,
+        r.actual_base_apy - r.deviation_base_pct AS reported_apy_base,
+        r.deviation_total_pct,
+        r.deviation_base_pct,
+        r.net_apy,
+        r.status
+`;
+
+// actual (measured via deposit) vs reported apy per time_window for all canary positions of a pool
+const getCanaryPool = async (req, res) => {
+  const configID = req.params.configID;
+  if (!validator.isUUID(configID))
+    return res.status(400).json('invalid configID!');
+
+  const query = `
+    SELECT
+        p.canary_position_id,
+        p.chain,
+        p.protocol,
+        p.status AS position_status,
+        p.health_status,
+        p.health_reason,
+        p.deposited_at,
+        p.latest_snapshot_at,
+        ${returnColumns}
+    FROM
+        canary_position AS p
+        LEFT JOIN canary_return AS r ON r.position_id = p.canary_position_id
+    WHERE
+        p."configID" = $<configID>
+    ORDER BY
+        p.deposited_at ASC,
+        r.days_elapsed ASC
+    `;
+
+  const response = await conn.query(query, { configID });
+
+  if (!response) {
+    return new AppError(`Couldn't get data`, 404);
+  }
+
+  // one entry per position with its returns nested
+  const positions = new Map();
+  for (const {
+    canary_position_id,
+    chain,
+    protocol,
+    position_status,
+    health_status,
+    health_reason,
+    deposited_at,
+    latest_snapshot_at,
+    ...r
+  } of response) {
+    if (!positions.has(canary_position_id)) {
+      positions.set(canary_position_id, {
+        positionId: canary_position_id,
+        chain,
+        protocol,
+        status: position_status,
+        health_status,
+        health_reason,
+        deposited_at,
+        latest_snapshot_at,
+        returns: [],
+      });
+    }
+    if (r.time_window !== null) {
+      positions.get(canary_position_id).returns.push(r);
+    }
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: [...positions.values()],
+  });
+};
+
+// feed of pools whose measured return deviates from the yield table
+const getCanaryFlagged = async (req, res) => {
+  const status = req.query.status;
+  // a repeated ?status= param is parsed as an array
+  if (status !== undefined && typeof status !== 'string')
+    return res.status(400).json('invalid status!');
+  const statuses =
+    status === undefined ? ['FLAG', 'WATCH'] : status.toUpperCase().split(',');
+  if (!statuses.every((s) => ['FLAG', 'WATCH', 'OK'].includes(s)))
+    return res.status(400).json('invalid status!');
+
+  const query = `
+    SELECT
+        r."configID",
+        c.project,
+        c.chain,
+        c.symbol,
+        r.position_id,
+        p.health_status,
+        p.health_reason,
+        ${returnColumns}
+    FROM
+        canary_return AS r
+        JOIN canary_position AS p ON p.canary_position_id = r.position_id
+        JOIN config AS c ON c.config_id = r."configID"
+    WHERE
+        p.status = 'active'
+        AND r.status IN ($<statuses:csv>)
+    ORDER BY
+        abs(r.deviation_total_pct) DESC NULLS LAST
+    `;
+
+  const response = await conn.query(query, { statuses });
+
+  if (!response) {
+    return new AppError(`Couldn't get data`, 404);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: response,
+  });
+};
+
+module.exports = { getCanaryPool, getCanaryFlagged };
@@ -58,24 +58,198 @@ const getPoolEnriched = async (req, res) => {
     });
 };
 
-const getPoolsEnrichedPro = async (req, res) => {
-  const queryString = req.query;
+// ---------- /poolsPro query language
+// - filters: `chain=Base`, `project=aave-v3,compound-v3` (comma = any of), `stablecoin=true`
+//   on array columns (`underlyingTokens`, `rewardTokens`) `=` means containment, `token=0x..` checks both
+// - numeric ranges: `tvlUsd>=1000000`, `apy<10` (ops: >=, <=, >, <, !=)
+// - `sort=-apy` (desc) / `sort=tvlUsd` (asc), numeric columns only, default -tvlUsd
+// - `fields=pool,symbol,apy`
+// - `limit=50` + `cursor` (returned as `nextCursor` when there are more results)
+const numericColumns = [
+  'tvlUsd',
+  'apyBase',
+  'apyReward',
+  'apy',
+  'apyPct1D',
+  'apyPct7D',
+  'apyPct30D',
+  'mu',
+  'sigma',
+  'count',
+  'il7d',
+  'apyBase7d',
+  'apyMean30d',
+  'volumeUsd1d',
+  'volumeUsd7d',
+  'apyBaseInception',
+];
+const arrayColumns = ['underlyingTokens', 'rewardTokens'];
+const filterColumns = [
+  'chain',
+  'project',
+  'symbol',
+  'pool',
+  'pool_old',
+  'stablecoin',
+  'ilRisk',
+  'exposure',
+  'poolMeta',
+  'outlier',
+  ...arrayColumns,
+];
+const reservedParams = ['sort', 'fields', 'limit', 'cursor'];
+const maxLimit = 5000;
 
-  // add pool_old (the pool field from the adpaters == address)
-  let columns = [...poolsEnrichedColumns, 'pool_old'];
+const parseQueryString = (url) => {
+  const qs = url.split('?')[1];
+  if (!qs) return [];
 
-  let data = await getPoolsEnrichedData()
-  if (Object.keys(queryString).length > 0) {
-    data = data.filter((pool) => {
-      const key = Object.keys(queryString)[0];
-      const val = queryString[key];
-      return pool[key] === val;
+  return qs
+    .split('&')
+    .filter(Boolean)
+    .map((part) => {
+      let decoded;
+      try {
+        decoded = decodeURIComponent(part.replace(/\+/g, ' '));
+      } catch (e) {
+        return { error: part };
+      }
+      const match = decoded.match(/^([A-Za-z0-9_]+)(>=|<=|!=|>|<|=)(.*)$/);
+      if (!match) return { error: part };
+      const [, key, op, value] = match;
+      return { key, op, value };
     });
+};
+
+const compareNumbers = (op, a, b) =>
+  op === '>='
+    ? a >= b
+    : op === '<='
+    ? a <= b
+    : op === '>'
+    ? a > b
+    : op === '<'
+    ? a < b
+    : a !== b;
+
+// returns a predicate for a single condition or an error message
+const buildFilter = ({ key, op, value, error }) => {
+  if (error) return { error: `invalid query parameter ${error}` };
+
+  if (key === 'token' || arrayColumns.includes(key)) {
+    if (op !== '=') return { error: `invalid operator for ${key}` };
+    const tokens = value.toLowerCase().split(',');
+    const cols = key === 'token' ? arrayColumns : [key];
+    return {
+      filter: (p) =>
+        cols.some((col) =>
+          p[col]?.some((t) => tokens.includes(String(t).toLowerCase()))
+        ),
+    };
+  }
+
+  if (numericColumns.includes(key)) {
+    const n = Number(value);
+    if (value === '' || !Number.isFinite(n))
+      return { error: `invalid number for ${key}` };
+    if (op === '=') return { filter: (p) => p[key] === n };
+    return {
+      filter: (p) =>
+        p[key] !== null && p[key] !== undefined && compareNumbers(op, p[key], n),
+    };
+  }
+
+  if (filterColumns.includes(key)) {
+    if (op !== '=' && op !== '!=')
+      return { error: `invalid operator for ${key}` };
+    const values = value.toLowerCase().split(',');
+    const match = (p) => values.includes(String(p[key]).toLowerCase());
+    return { filter: op === '=' ? match : (p) => !match(p) };
+  }
+
+  return { error: `invalid filter column ${key}` };
+};
+
+const encodeCursor = (sortKey, p) =>
+  Buffer.from(JSON.stringify([p[sortKey], p.pool])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [value, pool] = JSON.parse(Buffer.from(cursor, 'base64url'));
+    return typeof pool === 'string' ? { value, pool } : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const getPoolsEnrichedPro = async (req, res) => {
+  const params = parseQueryString(req.originalUrl);
+  const options = Object.fromEntries(
+    params
+      .filter((p) => reservedParams.includes(p.key) && p.op === '=')
+      .map((p) => [p.key, p.value])
+  );
+
+  const filters = [];
+  for (const param of params.filter((p) => !reservedParams.includes(p.key))) {
+    const { filter, error } = buildFilter(param);
+    if (error) return res.status(400).json(error);
+    filters.push(filter);
+  }
+
+  const sort = options.sort ?? '-tvlUsd';
+  const sortKey = sort.replace(/^-/, '');
+  const desc = sort.startsWith('-');
+  if (!numericColumns.includes(sortKey))
+    return res.status(400).json('invalid sort column!');
+
+  const limit = options.limit === undefined ? null : Number(options.limit);
+  if (limit !== null && !(Number.isInteger(limit) && limit > 0))
+    return res.status(400).json('invalid limit!');
+
+  const cursor =
+    options.cursor === undefined ? null : decodeCursor(options.cursor);
+  if (options.cursor !== undefined && cursor === null)
+    return res.status(400).json('invalid cursor!');
+
+  const fields = options.fields?.split(',');
+
+  // nulls last, ties broken by pool id so the order (and hence cursors) is stable
+  const compare = (a, b) => {
+    const x = a[sortKey] ?? null;
+    const y = b[sortKey] ?? null;
+    if (x !== y) {
+      if (x === null) return 1;
+      if (y === null) return -1;
+      return desc ? y - x : x - y;
+    }
+    return a.pool < b.pool ? -1 : a.pool > b.pool ? 1 : 0;
+  };
+
+  let data = (await getPoolsEnrichedData())
+    .filter((p) => filters.every((f) => f(p)))
+    .sort(compare);
+
+  if (cursor) {
+    const after = { [sortKey]: cursor.value, pool: cursor.pool };
+    data = data.filter((p) => compare(p, after) > 0);
+  }
+
+  let nextCursor;
+  if (limit !== null) {
+    const size = Math.min(limit, maxLimit);
+    if (data.length > size) nextCursor = encodeCursor(sortKey, data[size - 1]);
+    data = data.slice(0, size);
+  }
+
+  if (fields) {
+    data = data.map((p) => Object.fromEntries(fields.map((f) => [f, p[f]])));
   }
 
   res.status(200).json({
     status: 'success',
     data,
+    ...(nextCursor && { nextCursor }),
   });
 };
 
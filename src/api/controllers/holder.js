@@ -0,0 +1,39 @@
+const validator = require('validator');
+
+const AppError = require('../../utils/appError');
+const { conn } = require('../db');
+
+// daily holder count and concentration history of a pool
+const getHolderHistory = async (req, res) => {
+  const configID = req.params.configID;
+  if (!validator.isUUID(configID))
+    return res.status(400).json('invalid configID!');
+
+  const query = `
+    SELECT
+        timestamp,
+        "holderCount",
+        "avgPositionUsd",
+        "top10Pct",
+        "top10Holders"
+    FROM
+        holder_daily
+    WHERE
+        "configID" = $<configID>
+    ORDER BY
+        timestamp ASC
+    `;
+
+  const response = await conn.query(query, { configID });
+
+  if (!response) {
+    return new AppError(`Couldn't get data`, 404);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: response,
+  });
+};
+
+module.exports = { getHolderHistory };
@@ -2,6 +2,12 @@ const validator = require('validator');
 
 const AppError = require('../../utils/appError');
 const { conn } = require('../db');
+const { getFormat, sendFormatted } = require('../../utils/export');
+const { readFromS3 } = require('../../utils/s3');
+
+// funding rates are per funding interval (1h or 8h depending on the venue),
+// normalised to an hourly rate and annualised (in %): hourly * 24 * 365 * 100
+const APR_FACTOR = 24 * 365 * 100;
 
 // get latest data for each unique perp
 const getPerp = async (req, res) => {
@@ -17,10 +23,15 @@ const getPerp = async (req, res) => {
         "fundingTimePrevious",
         "openInterest",
         "indexPrice",
+        "fundingIntervalHours",
+        round("fundingRate" / "fundingIntervalHours", 10) AS "fundingRateHourly",
+        round("fundingRate" / "fundingIntervalHours" * $<aprFactor>, 5) AS "fundingRateApr",
         "fundingRate7dAverage",
         "fundingRate7dSum",
+        "fundingRate7dApr",
         "fundingRate30dAverage",
-        "fundingRate30dSum"
+        "fundingRate30dSum",
+        "fundingRate30dApr"
     FROM
         (
             SELECT
@@ -40,15 +51,18 @@ const getPerp = async (req, res) => {
                 weeklyStats.market,
                 "fundingRate7dAverage",
                 "fundingRate7dSum",
+                "fundingRate7dApr",
                 "fundingRate30dAverage",
-                "fundingRate30dSum"
+                "fundingRate30dSum",
+                "fundingRate30dApr"
             FROM
                 (
                     SELECT
                         marketplace,
                         market,
                         round(avg("fundingRatePrevious"), 10) AS "fundingRate7dAverage",
-                        round(sum("fundingRatePrevious"), 10) AS "fundingRate7dSum"
+                        round(sum("fundingRatePrevious"), 10) AS "fundingRate7dSum",
+                        round(avg("fundingRatePrevious" / "fundingIntervalHours") * $<aprFactor>, 5) AS "fundingRate7dApr"
                     FROM
                         (
                             SELECT
@@ -72,7 +86,8 @@ const getPerp = async (req, res) => {
                         marketplace,
                         market,
                         round(avg("fundingRatePrevious"), 10) AS "fundingRate30dAverage",
-                        round(sum("fundingRatePrevious"), 10) AS "fundingRate30dSum"
+                        round(sum("fundingRatePrevious"), 10) AS "fundingRate30dSum",
+                        round(avg("fundingRatePrevious" / "fundingIntervalHours") * $<aprFactor>, 5) AS "fundingRate30dApr"
                     FROM
                         (
                             SELECT
@@ -100,6 +115,7 @@ const getPerp = async (req, res) => {
     age: 3, // last 3 hours
     ageWeeklyStats: 7,
     ageMonthlyStats: 30,
+    aprFactor: APR_FACTOR,
   });
 
   if (!response) {
@@ -112,4 +128,367 @@ const getPerp = async (req, res) => {
   });
 };
 
-module.exports = { getPerp };
+// ---------- history
+const perpHistoryColumns = [
+  'timestamp',
+  'fundingRate',
+  'fundingRatePrevious',
+  'fundingTimePrevious',
+  'openInterest',
+  'indexPrice',
+  'fundingIntervalHours',
+];
+// stored columns + the derived annualised rate
+const perpHistoryFields = [...perpHistoryColumns, 'fundingRateApr'];
+const resolutions = { hourly: 'hour', daily: 'day', weekly: 'week' };
+// hourly series are capped in range to keep responses bounded
+const maxHourlyDays = 31;
+const DAY = 24 * 60 * 60 * 1000;
+
+// accepts unix seconds or any date string Date can parse
+const parseDate = (value) => {
+  if (value === undefined) return undefined;
+  // a repeated ?from= / ?to= param is parsed as an array
+  if (typeof value !== 'string') return null;
+  const d = /^\d+$/.test(value) ? new Date(value * 1000) : new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+// from/to/resolution query params; returns an error message for invalid values
+const parseRange = (query, defaultDays) => {
+  const resolution = query.resolution ?? 'daily';
+  // a repeated ?resolution= param is parsed as an array
+  if (typeof resolution !== 'string' || !Object.hasOwn(resolutions, resolution))
+    return { error: 'invalid resolution!' };
+
+  const to = parseDate(query.to);
+  const from = parseDate(query.from);
+  if (from === null || to === null) return { error: 'invalid date!' };
+
+  const range = {
+    unit: resolutions[resolution],
+    to: to ?? new Date(),
+  };
+  range.from = from ?? new Date(range.to - defaultDays * DAY);
+  if (resolution === 'hourly' && range.from < range.to - maxHourlyDays * DAY)
+    return { error: `hourly resolution is limited to ${maxHourlyDays} days!` };
+
+  return range;
+};
+
+// last snapshot per bucket of the matching markets
+const historyQuery = (where) => `
+    SELECT
+        DISTINCT ON (marketplace, market, date_trunc($<unit>, timestamp))
+        marketplace,
+        market,
+        "baseAsset",
+        ${perpHistoryColumns.map((c) => `"${c}"`).join(',\n        ')},
+        round("fundingRate" / "fundingIntervalHours" * $<aprFactor>, 5) AS "fundingRateApr"
+    FROM
+        perpetual
+    WHERE
+        ${where}
+        AND timestamp >= $<from>
+        AND timestamp <= $<to>
+    ORDER BY
+        marketplace,
+        market,
+        date_trunc($<unit>, timestamp),
+        timestamp DESC
+    `;
+
+// funding and open interest history of a single market
+// /perps/:marketplace/:market/history?from=<date>&to=<date>&resolution=hourly|daily|weekly
+const getPerpHistory = async (req, res) => {
+  const format = getFormat(req);
+  if (format === null) return res.status(400).json('invalid format!');
+  // default: last 30 days
+  const range = parseRange(req.query, 30);
+  if (range.error) return res.status(400).json(range.error);
+
+  const response = await conn.query(
+    historyQuery(
+      'lower(marketplace) = lower($<marketplace>) AND market = $<market>'
+    ),
+    {
+      ...range,
+      aprFactor: APR_FACTOR,
+      marketplace: req.params.marketplace,
+      market: req.params.market.toUpperCase(),
+    }
+  );
+
+  if (!response) {
+    return new AppError(`Couldn't get data`, 404);
+  }
+
+  if (await sendFormatted(res, format, response, perpHistoryFields, 'perps'))
+    return;
+
+  res.status(200).json({
+    status: 'success',
+    data: response.map(({ marketplace, market, baseAsset, ...row }) => row),
+  });
+};
+
+// history of all venues' markets of one base asset, aligned on the same buckets
+// /perps/asset/:baseAsset?from=<date>&to=<date>&resolution=hourly|daily|weekly
+const getPerpAsset = async (req, res) => {
+  const format = getFormat(req);
+  if (format === null) return res.status(400).json('invalid format!');
+  const range = parseRange(req.query, 30);
+  if (range.error) return res.status(400).json(range.error);
+
+  const response = await conn.query(
+    historyQuery('"baseAsset" = $<baseAsset>'),
+    {
+      ...range,
+      aprFactor: APR_FACTOR,
+      baseAsset: req.params.baseAsset.toUpperCase(),
+    }
+  );
+
+  if (!response) {
+    return new AppError(`Couldn't get data`, 404);
+  }
+
+  if (
+    await sendFormatted(
+      res,
+      format,
+      response,
+      ['marketplace', 'market', ...perpHistoryFields],
+      `perps-${req.params.baseAsset.toUpperCase()}`
+    )
+  )
+    return;
+
+  // one series per market
+  const markets = {};
+  for (const { marketplace, market, baseAsset, ...row } of response) {
+    (markets[`${marketplace}:${market}`] ??= {
+      marketplace,
+      market,
+      history: [],
+    }).history.push(row);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: Object.values(markets),
+  });
+};
+
+// ---------- basis
+// spot tokens which track a perp's base asset (wrappers and liquid staking tokens),
+// any other base asset matches its own symbol and its wrapped version
+const spotEquivalents = {
+  ETH: [
+    'ETH',
+    'WETH',
+    'STETH',
+    'WSTETH',
+    'RETH',
+    'CBETH',
+    'SFRXETH',
+    'WEETH',
+    'EETH',
+    'METH',
+    'OSETH',
+    'ETHX',
+    'SWETH',
+    'ANKRETH',
+  ],
+  BTC: ['BTC', 'WBTC', 'BTCB', 'CBBTC', 'TBTC'],
+  SOL: ['SOL', 'MSOL', 'JITOSOL', 'BSOL', 'JUPSOL'],
+  BNB: ['BNB', 'WBNB', 'SLISBNB', 'BNBX'],
+  MATIC: ['MATIC', 'WMATIC', 'STMATIC', 'MATICX'],
+  AVAX: ['AVAX', 'WAVAX', 'SAVAX'],
+};
+
+// best single exposure pool (lsd, lending...) to hold the spot leg in, per base asset
+const getSpotLegs = async (baseAssets, minTvl) => {
+  const pools = await readFromS3(
+    'llama-apy-prod-data',
+    'enriched/dataEnriched.json'
+  );
+  const assets = {};
+  for (const asset of baseAssets) {
+    for (const symbol of spotEquivalents[asset] ?? [asset, `W${asset}`])
+      assets[symbol] = asset;
+  }
+
+  const spot = {};
+  for (const p of pools) {
+    const asset = assets[p.symbol];
+    if (!asset || p.exposure !== 'single' || p.outlier || p.tvlUsd < minTvl)
+      continue;
+    // the 30d mean smooths out reward spikes
+    const apy = p.apyMean30d ?? p.apy;
+    if (!(apy > 0) || apy <= (spot[asset]?.apy ?? 0)) continue;
+    spot[asset] = {
+      pool: p.pool,
+      project: p.project,
+      chain: p.chain,
+      symbol: p.symbol,
+      tvlUsd: p.tvlUsd,
+      apy: +apy.toFixed(5),
+    };
+  }
+  return spot;
+};
+
+// carry trades per base asset, ranked by expected annualised carry net of funding volatility
+// - spot-perp: long spot (held in the best pool of /pools if any), short perp: funding + spot yield
+// - perp-perp: long perp on one venue, short perp on another: funding spread
+// expected funding is the 7d average, volatility the 30d stddev of the annualised rate
+// (for pairs both venues' stddevs are combined as if independent)
+// /perps/basis?baseAsset=<asset>&minTvl=<usd, spot pools>
+const getPerpBasis = async (req, res) => {
+  // repeated params are parsed as arrays
+  const minTvl = req.query.minTvl ?? '1000000';
+  if (typeof minTvl !== 'string' || !validator.isFloat(minTvl, { min: 0 }))
+    return res.status(400).json('invalid minTvl!');
+  if (!['string', 'undefined'].includes(typeof req.query.baseAsset))
+    return res.status(400).json('invalid baseAsset!');
+  const baseAsset = req.query.baseAsset?.toUpperCase();
+
+  const query = `
+    WITH latest AS (
+        SELECT
+            DISTINCT ON (marketplace, market)
+            marketplace,
+            market,
+            "baseAsset",
+            "openInterest",
+            "indexPrice",
+            "fundingRate" / "fundingIntervalHours" * $<aprFactor> AS "fundingApr"
+        FROM
+            perpetual
+        WHERE
+            timestamp >= NOW() - INTERVAL '$<age> HOUR'
+            ${baseAsset ? 'AND "baseAsset" = $<baseAsset>' : ''}
+        ORDER BY
+            marketplace,
+            market,
+            timestamp DESC
+    ),
+    settled AS (
+        SELECT
+            DISTINCT ON (marketplace, market, "fundingTimePrevious")
+            marketplace,
+            market,
+            timestamp,
+            "fundingRatePrevious" / "fundingIntervalHours" * $<aprFactor> AS apr
+        FROM
+            perpetual
+        WHERE
+            "fundingTimePrevious" IS NOT NULL
+            AND timestamp >= NOW() - INTERVAL '$<ageMonthlyStats> DAY'
+            ${baseAsset ? 'AND "baseAsset" = $<baseAsset>' : ''}
+        ORDER BY
+            marketplace,
+            market,
+            "fundingTimePrevious" DESC
+    )
+    SELECT
+        latest.*,
+        avg(apr) FILTER (
+            WHERE timestamp >= NOW() - INTERVAL '$<ageWeeklyStats> DAY'
+        ) AS "fundingApr7d",
+        coalesce(stddev_samp(apr), 0) AS "fundingAprStd30d"
+    FROM
+        latest
+        LEFT JOIN settled USING (marketplace, market)
+    GROUP BY
+        latest.marketplace,
+        latest.market,
+        latest."baseAsset",
+        latest."openInterest",
+        latest."indexPrice",
+        latest."fundingApr"
+    `;
+
+  const response = await conn.query(query, {
+    age: 3,
+    ageWeeklyStats: 7,
+    ageMonthlyStats: 30,
+    aprFactor: APR_FACTOR,
+    baseAsset,
+  });
+
+  if (!response) {
+    return new AppError(`Couldn't get data`, 404);
+  }
+
+  const round = (x) => +x.toFixed(5);
+  const leg = (m) => ({
+    marketplace: m.marketplace,
+    market: m.market,
+    fundingApr: round(m.fundingApr),
+    fundingApr7d: round(m.fundingApr7d ?? m.fundingApr),
+  });
+
+  const assets = {};
+  for (const m of response) (assets[m.baseAsset] ??= []).push(m);
+  const spot = await getSpotLegs(Object.keys(assets), Number(minTvl));
+
+  const data = Object.entries(assets).map(([asset, markets]) => {
+    const trades = [];
+    for (const short of markets) {
+      const shortApr = short.fundingApr7d ?? short.fundingApr;
+      const spotApy = spot[asset]?.apy ?? 0;
+      trades.push({
+        type: 'spot-perp',
+        // plain holding of the asset if no pool qualifies
+        long: spot[asset] ?? { symbol: asset, apy: 0 },
+        short: leg(short),
+        expectedCarry: round(shortApr + spotApy),
+        fundingVolatility: round(short.fundingAprStd30d),
+        carryNetOfVolatility: round(
+          shortApr + spotApy - short.fundingAprStd30d
+        ),
+      });
+
+      for (const long of markets) {
+        if (long.marketplace === short.marketplace) continue;
+        const carry = shortApr - (long.fundingApr7d ?? long.fundingApr);
+        // each pair once, in its profitable direction
+        if (carry <= 0) continue;
+        const volatility = Math.sqrt(
+          long.fundingAprStd30d ** 2 + short.fundingAprStd30d ** 2
+        );
+        trades.push({
+          type: 'perp-perp',
+          long: leg(long),
+          short: leg(short),
+          expectedCarry: round(carry),
+          fundingVolatility: round(volatility),
+          carryNetOfVolatility: round(carry - volatility),
+        });
+      }
+    }
+    trades.sort((a, b) => b.carryNetOfVolatility - a.carryNetOfVolatility);
+    return { baseAsset: asset, trades };
+  });
+  data.sort(
+    (a, b) =>
+      (b.trades[0]?.carryNetOfVolatility ?? -Infinity) -
+      (a.trades[0]?.carryNetOfVolatility ?? -Infinity)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data,
+  });
+};
+
+module.exports = {
+  getPerp,
+  getPerpHistory,
+  getPerpAsset,
+  getPerpBasis,
+  // exported for tests
+  parseRange,
+};
@@ -1,27 +1,90 @@
 const axios = require('axios');
 
 const AppError = require('../../utils/appError');
+const { conn } = require('../db');
+const { readFromS3 } = require('../../utils/s3');
+const { getFormat, sendFormatted } = require('../../utils/export');
+const poolsResponseColumns = require('../../utils/enrichedColumns');
 
 const DATASETS_BASE = 'https://defillama-datasets.llama.fi';
 
+// datasets written by the enrichment handler (from local storage when running the pipeline locally)
+const getDataset = async (key) =>
+  process.env.LOCAL_STORAGE_DIR
+    ? readFromS3('defillama-datasets', key)
+    : (await axios.get(`${DATASETS_BASE}/${key}`)).data;
+
+// hourly snapshot of /pools closest to `at`
+const getSnapshot = async (at) => {
+  const query = `
+    SELECT
+        timestamp,
+        bucket,
+        key
+    FROM
+        enriched_snapshot
+    ORDER BY
+        abs(extract(epoch FROM timestamp - $<at>))
+    LIMIT
+        1
+    `;
+  const snapshot = await conn.oneOrNone(query, { at });
+  if (!snapshot) return null;
+
+  return {
+    status: 'success',
+    snapshotTimestamp: snapshot.timestamp,
+    data: await readFromS3(snapshot.bucket, snapshot.key),
+  };
+};
+
 const getPools = async (req, res) => {
-  const response = await axios.get(`${DATASETS_BASE}/yield-api/pools`);
+  const format = getFormat(req);
+  if (format === null) return res.status(400).json('invalid format!');
+
+  // /pools?at=<unix seconds or date>
+  let at;
+  if (req.query.at !== undefined) {
+    at = /^\d+$/.test(req.query.at)
+      ? new Date(req.query.at * 1000)
+      : new Date(req.query.at);
+    if (Number.isNaN(at.getTime())) return res.status(400).json('invalid at!');
+  }
+
+  const response = at
+    ? await getSnapshot(at)
+    : await getDataset('yield-api/pools');
 
-  if (!response.data) {
+  if (at && !response) {
+    return res.status(404).json('no snapshot found!');
+  }
+
+  if (!response) {
     return new AppError("Couldn't retrieve data", 404);
   }
 
-  res.status(200).json(response.data);
+  if (
+    await sendFormatted(
+      res,
+      format,
+      response.data,
+      poolsResponseColumns,
+      'pools'
+    )
+  )
+    return;
+
+  res.status(200).json(response);
 };
 
 const getLendBorrow = async (req, res) => {
-  const response = await axios.get(`${DATASETS_BASE}/yield-api/lendBorrow`);
+  const response = await getDataset('yield-api/lendBorrow');
 
-  if (!response.data) {
+  if (!response) {
     return new AppError("Couldn't retrieve data", 404);
   }
 
-  res.status(200).json(response.data);
+  res.status(200).json(response);
 };
 
 module.exports = { getPools, getLendBorrow };
@@ -0,0 +1,56 @@
+const AppError = require('../../utils/appError');
+const { conn } = require('../db');
+
+const groupTypes = ['all', 'model', 'bin', 'project', 'chain'];
+
+// hit rate and calibration (mean predicted probability vs hit rate) of the apy runway
+// predictions, per confidence bin by default, over the prediction dates of the last n days
+const getPredictionPerformance = async (req, res) => {
+  const groupBy = req.query.groupBy ?? 'bin';
+  if (!groupTypes.includes(groupBy))
+    return res.status(400).json('invalid groupBy!');
+  const days = req.query.days === undefined ? 90 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > 730)
+    return res.status(400).json('invalid days!');
+
+  const query = `
+    SELECT
+        group_value AS "${groupBy}",
+        horizon_days,
+        count(*) AS nb_evaluations,
+        min(prediction_timestamp) AS first_prediction,
+        max(prediction_timestamp) AS last_prediction,
+        sum(nb_predictions) AS nb_predictions,
+        round(sum(nb_hits)::numeric / sum(nb_predictions), 4) AS hit_rate,
+        round(sum(sum_probability) / sum(nb_predictions), 4) AS mean_probability,
+        round(
+            sum(sum_probability) / sum(nb_predictions)
+            - sum(nb_hits)::numeric / sum(nb_predictions),
+            4
+        ) AS calibration_gap,
+        round(sum(nb_down)::numeric / sum(nb_predictions), 4) AS down_rate
+    FROM
+        prediction_performance
+    WHERE
+        group_type = $<groupBy>
+        AND prediction_timestamp >= NOW() - INTERVAL '$<days> DAY'
+    GROUP BY
+        group_value,
+        horizon_days
+    ORDER BY
+        sum(nb_predictions) DESC
+    `;
+
+  const response = await conn.query(query, { groupBy, days });
+
+  if (!response) {
+    return new AppError(`Couldn't get data`, 404);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: response,
+  });
+};
+
+module.exports = { getPredictionPerformance };
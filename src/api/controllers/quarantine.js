@@ -0,0 +1,116 @@
+const validator = require('validator');
+
+const AppError = require('../../utils/appError');
+const { conn } = require('../db');
+
+const statuses = ['pending', 'approved', 'rejected', 'released'];
+
+// samples blocked by the spike check, pending ones by default
+const getQuarantine = async (req, res) => {
+  const status = req.query.status ?? 'pending';
+  if (!statuses.includes(status)) return res.status(400).json('invalid status!');
+  const adapter = req.query.adapter;
+  // a repeated ?adapter= param is parsed as an array
+  if (adapter !== undefined && typeof adapter !== 'string')
+    return res.status(400).json('invalid adapter!');
+
+  const query = `
+    SELECT
+        spike_quarantine_id,
+        "configID",
+        adapter,
+        pool,
+        timestamp,
+        tvl_usd,
+        apy,
+        tvl_usd_prev,
+        apy_prev,
+        timestamp_prev,
+        tvl_multiplier,
+        apy_multiplier,
+        status,
+        created_at,
+        resolved_at,
+        resolved_by
+    FROM
+        spike_quarantine
+    WHERE
+        status = $<status>
+        ${adapter === undefined ? '' : 'AND adapter = $<adapter>'}
+    ORDER BY
+        created_at DESC
+    LIMIT
+        1000
+    `;
+
+  const response = await conn.query(query, { status, adapter });
+
+  if (!response) {
+    return new AppError(`Couldn't get data`, 404);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: response,
+  });
+};
+
+// mark a pending sample as resolved; on approval the sample is inserted into yield
+// with its original timestamp
+const resolveQuarantine = (status) => async (req, res) => {
+  const id = req.params.id;
+  if (!validator.isUUID(id)) return res.status(400).json('invalid id!');
+  const reviewer = req.body?.reviewer ?? null;
+
+  const updateQuery = `
+    UPDATE
+        spike_quarantine
+    SET
+        status = $<status>,
+        resolved_at = NOW(),
+        resolved_by = $<reviewer>
+    WHERE
+        spike_quarantine_id = $<id>
+        AND status = 'pending'
+    RETURNING
+        spike_quarantine_id,
+        "configID",
+        timestamp,
+        status,
+        resolved_at,
+        resolved_by
+    `;
+  const insertQuery = `
+    INSERT INTO
+        yield
+    SELECT
+        (jsonb_populate_record(
+            NULL::yield,
+            sample || jsonb_build_object('yield_id', uuid_generate_v4())
+        )).*
+    FROM
+        spike_quarantine
+    WHERE
+        spike_quarantine_id = $<id>
+    `;
+
+  const response = await conn.tx(async (t) => {
+    const row = await t.oneOrNone(updateQuery, { id, status, reviewer });
+    if (row && status === 'approved') await t.none(insertQuery, { id });
+    return row;
+  });
+
+  if (!response) {
+    return res.status(404).json('no pending sample found!');
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: response,
+  });
+};
+
+const approveQuarantine = resolveQuarantine('approved');
+const rejectQuarantine = resolveQuarantine('rejected');
+
+module.exports = { getQuarantine, approveQuarantine, rejectQuarantine };
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const validator = require('validator');
+
+const AppError = require('../../utils/appError');
+const { conn } = require('../db');
+const {
+  rules,
+  scopeTypes,
+  defaultThresholds,
+  getWebhookHost,
+  resolveWebhookHost,
+} = require('../../utils/webhooks');
+
+const subscriptionColumns = `
+        webhook_subscription_id,
+        url,
+        scope_type,
+        scope_value,
+        rule,
+        threshold,
+        description,
+        active,
+        created_at`;
+
+// register a webhook; the secret for verifying the X-Llama-Signature header
+// is only returned here
+const createWebhook = async (req, res) => {
+  const { url, scopeType, rule, description } = req.body ?? {};
+  let { scopeValue, threshold } = req.body ?? {};
+
+  if (
+    typeof url !== 'string' ||
+    !validator.isURL(url, { protocols: ['https'], require_protocol: true })
+  )
+    return res.status(400).json('invalid url!');
+  // no localhost, ip literals or hostnames resolving to private addresses;
+  // deliveries check the resolved addresses again
+  const host = getWebhookHost(url);
+  if (!host) return res.status(400).json('invalid url!');
+  try {
+    await resolveWebhookHost(host);
+  } catch (err) {
+    return res
+      .status(400)
+      .json(
+        err.blocked ? 'url resolves to a private address!' : 'invalid url!'
+      );
+  }
+  if (!scopeTypes.includes(scopeType))
+    return res.status(400).json('invalid scopeType!');
+  if (typeof scopeValue !== 'string' || !scopeValue)
+    return res.status(400).json('invalid scopeValue!');
+  if (scopeType === 'configID' && !validator.isUUID(scopeValue))
+    return res.status(400).json('invalid scopeValue!');
+  // underlyingTokens are matched case insensitive
+  if (scopeType === 'token') scopeValue = scopeValue.toLowerCase();
+  if (!rules.includes(rule)) return res.status(400).json('invalid rule!');
+  if (rule === 'outlier_flip') threshold = null;
+  else if (threshold === undefined || threshold === null)
+    threshold = defaultThresholds[rule];
+  else if (!Number.isFinite(Number(threshold)) || Number(threshold) < 0)
+    return res.status(400).json('invalid threshold!');
+
+  const query = `
+    INSERT INTO
+        webhook_subscription (
+            url,
+            secret,
+            scope_type,
+            scope_value,
+            rule,
+            threshold,
+            description
+        )
+    VALUES
+        (
+            $<url>,
+            $<secret>,
+            $<scopeType>,
+            $<scopeValue>,
+            $<rule>,
+            $<threshold>,
+            $<description>
+        )
+    RETURNING
+        ${subscriptionColumns},
+        secret
+    `;
+
+  const response = await conn.one(query, {
+    url,
+    secret: crypto.randomBytes(32).toString('hex'),
+    scopeType,
+    scopeValue,
+    rule,
+    threshold: threshold === null ? null : Number(threshold),
+    description: description ?? null,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: response,
+  });
+};
+
+const getWebhooks = async (req, res) => {
+  const query = `
+    SELECT
+        ${subscriptionColumns}
+    FROM
+        webhook_subscription
+    ORDER BY
+        created_at DESC
+    `;
+
+  const response = await conn.query(query);
+
+  if (!response) {
+    return new AppError(`Couldn't get data`, 404);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: response,
+  });
+};
+
+// deactivates a webhook (its delivery log is kept, pending deliveries are no longer sent)
+const deleteWebhook = async (req, res) => {
+  const id = req.params.id;
+  if (!validator.isUUID(id)) return res.status(400).json('invalid id!');
+
+  const query = `
+    UPDATE
+        webhook_subscription
+    SET
+        active = false
+    WHERE
+        webhook_subscription_id = $<id>
+    RETURNING
+        ${subscriptionColumns}
+    `;
+
+  const response = await conn.oneOrNone(query, { id });
+
+  if (!response) {
+    return res.status(404).json('no webhook found!');
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: response,
+  });
+};
+
+// delivery log of a webhook, latest first
+const getWebhookDeliveries = async (req, res) => {
+  const id = req.params.id;
+  if (!validator.isUUID(id)) return res.status(400).json('invalid id!');
+
+  const query = `
+    SELECT
+        webhook_delivery_id,
+        payload,
+        status,
+        attempts,
+        next_attempt_at,
+        response_status,
+        last_error,
+        created_at,
+        delivered_at
+    FROM
+        webhook_delivery
+    WHERE
+        webhook_subscription_id = $<id>
+    ORDER BY
+        created_at DESC
+    LIMIT
+        500
+    `;
+
+  const response = await conn.query(query, { id });
+
+  if (!response) {
+    return new AppError(`Couldn't get data`, 404);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: response,
+  });
+};
+
+module.exports = {
+  createWebhook,
+  getWebhooks,
+  deleteWebhook,
+  getWebhookDeliveries,
+};
@@ -1,12 +1,36 @@
 const validator = require('validator');
 
 const AppError = require('../../utils/appError');
-const { conn } = require('../db');
+const { pgp, conn } = require('../db');
+const { getFormat, sendFormatted } = require('../../utils/export');
+
+const historyColumns = [
+  'timestamp',
+  'tvlUsd',
+  'apy',
+  'apyBase',
+  'apyReward',
+  'il7d',
+  'apyBase7d',
+  'pricePerShare',
+];
+const lendBorrowHistoryColumns = [
+  'timestamp',
+  'totalSupplyUsd',
+  'totalBorrowUsd',
+  'debtCeilingUsd',
+  'apyBase',
+  'apyReward',
+  'apyBaseBorrow',
+  'apyRewardBorrow',
+];
 
 const getYieldHistory = async (req, res) => {
   const configID = req.params.pool;
   if (!validator.isUUID(configID))
     return res.status(400).json('invalid configID!');
+  const format = getFormat(req);
+  if (format === null) return res.status(400).json('invalid format!');
 
   const query = `
           SELECT
@@ -42,6 +66,9 @@ const getYieldHistory = async (req, res) => {
     return new AppError(`Couldn't get data`, 404);
   }
 
+  if (await sendFormatted(res, format, response, historyColumns, configID))
+    return;
+
   res.status(200).json({
     status: 'success',
     data: response,
@@ -52,6 +79,8 @@ const getYieldLendBorrowHistory = async (req, res) => {
   const configID = req.params.pool;
   if (!validator.isUUID(configID))
     return res.status(400).json('invalid configID!');
+  const format = getFormat(req);
+  if (format === null) return res.status(400).json('invalid format!');
 
   const query = `
       SELECT
@@ -86,6 +115,17 @@ const getYieldLendBorrowHistory = async (req, res) => {
     return new AppError(`Couldn't get data`, 404);
   }
 
+  if (
+    await sendFormatted(
+      res,
+      format,
+      response,
+      lendBorrowHistoryColumns,
+      configID
+    )
+  )
+    return;
+
   res.status(200).json({
     status: 'success',
     data: response,
@@ -132,8 +172,135 @@ const getVolumeHistory = async (req, res) => {
   });
 };
 
+// ---------- bulk history
+const chartColumns = historyColumns.filter((c) => c !== 'timestamp');
+const resolutions = { hourly: 'hour', daily: 'day', weekly: 'week' };
+const aggregations = ['last', 'avg', 'min', 'max'];
+const maxChartPools = 100;
+// hourly series are capped in range to keep responses bounded
+const maxHourlyDays = 31;
+
+// accepts unix seconds or any date string Date can parse
+const parseDate = (value) => {
+  if (value === undefined) return undefined;
+  const d = /^\d+$/.test(value) ? new Date(value * 1000) : new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+// history of multiple pools, keyed by configID
+// /chart?pools=<id1>,<id2>&from=<date>&to=<date>&resolution=hourly|daily|weekly&agg=last|avg|min|max
+// `last` returns the latest sample per bucket (with its own timestamp), the other
+// aggregations return one row per bucket timestamped at the bucket start
+const getYieldHistoryBulk = async (req, res) => {
+  // a repeated ?pools= param is parsed as an array
+  if (typeof req.query.pools !== 'string')
+    return res.status(400).json('invalid configID!');
+  const ids = req.query.pools
+    .toLowerCase()
+    .split(',')
+    .filter(Boolean);
+  if (!ids.length || !ids.every((id) => validator.isUUID(id)))
+    return res.status(400).json('invalid configID!');
+  if (ids.length > maxChartPools)
+    return res.status(400).json(`max ${maxChartPools} pools!`);
+  const format = getFormat(req);
+  if (format === null) return res.status(400).json('invalid format!');
+
+  const resolution = req.query.resolution ?? 'daily';
+  const agg = req.query.agg ?? 'last';
+  if (!resolutions[resolution])
+    return res.status(400).json('invalid resolution!');
+  if (!aggregations.includes(agg)) return res.status(400).json('invalid agg!');
+
+  const to = parseDate(req.query.to);
+  let from = parseDate(req.query.from);
+  if (from === null || to === null) return res.status(400).json('invalid date!');
+  if (resolution === 'hourly') {
+    const minFrom = new Date(
+      (to ?? new Date()) - maxHourlyDays * 24 * 60 * 60 * 1000
+    );
+    if (from === undefined) from = minFrom;
+    if (from < minFrom)
+      return res
+        .status(400)
+        .json(`hourly resolution is limited to ${maxHourlyDays} days!`);
+  }
+
+  const columns = chartColumns.map((c) => pgp.as.name(c));
+  const query =
+    agg === 'last'
+      ? `
+    SELECT
+        DISTINCT ON ("configID", date_trunc($<unit>, timestamp))
+        "configID",
+        timestamp,
+        ${columns.join(',\n        ')}
+    FROM
+        yield
+    WHERE
+        "configID" IN ($<ids:csv>)
+        AND timestamp >= $<from>
+        AND timestamp <= $<to>
+    ORDER BY
+        "configID",
+        date_trunc($<unit>, timestamp),
+        timestamp DESC
+    `
+      : `
+    SELECT
+        "configID",
+        date_trunc($<unit>, timestamp) AS timestamp,
+        ${columns
+          .map((c) => `${agg}(${c}) AS ${c}`)
+          .join(',\n        ')}
+    FROM
+        yield
+    WHERE
+        "configID" IN ($<ids:csv>)
+        AND timestamp >= $<from>
+        AND timestamp <= $<to>
+    GROUP BY
+        "configID",
+        date_trunc($<unit>, timestamp)
+    ORDER BY
+        "configID",
+        timestamp ASC
+    `;
+
+  const response = await conn.query(query, {
+    ids,
+    unit: resolutions[resolution],
+    from: from ?? new Date(0),
+    to: to ?? new Date(),
+  });
+
+  if (!response) {
+    return new AppError(`Couldn't get data`, 404);
+  }
+
+  if (
+    await sendFormatted(
+      res,
+      format,
+      response,
+      ['configID', ...historyColumns],
+      'chart'
+    )
+  )
+    return;
+
+  const data = Object.fromEntries(ids.map((id) => [id, []]));
+  for (const { configID, ...row } of response) data[configID].push(row);
+
+  res.status(200).json({
+    status: 'success',
+    data,
+  });
+};
+
 module.exports = {
   getYieldHistory,
+  getYieldHistoryBulk,
   getYieldLendBorrowHistory,
   getVolumeHistory,
 };
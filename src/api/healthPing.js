@@ -1,11 +1,10 @@
 const { Redis } = require('ioredis');
 
 const { pgp } = require('./db');
-const { sendMessage } = require('../utils/discordWebhook');
+const { notify: sendAlert } = require('../utils/notifier');
 
 const INTERVAL_MS = 60 * 1000;
 const TIMEOUT_MS = 5 * 1000;
-const DISCORD_WEBHOOK = process.env.STALE_PROJECTS_WEBHOOK;
 
 const sql = pgp({
   connectionString: process.env.DATABASE_URL,
@@ -38,10 +37,8 @@ const notify = (label, err) => {
   }`;
   console.warn(message);
 
-  if (!DISCORD_WEBHOOK) return;
-
-  sendMessage(message, DISCORD_WEBHOOK).catch((discordErr) => {
-    console.error('health ping discord notify error:', discordErr);
+  sendAlert('api_health', message).catch((alertErr) => {
+    console.error('health ping notify error:', alertErr);
   });
 };
 
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const adapters = require('../controllers/adapters');
+
+router.route('/adapters/status').get(adapters.getAdaptersStatus);
+router.route('/adapters/:adapter/runs').get(adapters.getAdapterRuns);
+router.route('/adapters/:adapter/drops').get(adapters.getAdapterDrops);
+
+module.exports = router;
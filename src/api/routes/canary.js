@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const canary = require('../controllers/canary');
+
+router.route('/canary').get(canary.getCanaryFlagged);
+router.route('/canary/:configID').get(canary.getCanaryPool);
+
+module.exports = router;
@@ -0,0 +1,7 @@
+const express = require('express');
+const router = express.Router();
+const holder = require('../controllers/holder');
+
+router.route('/holders/:configID').get(holder.getHolderHistory);
+
+module.exports = router;
@@ -3,5 +3,8 @@ const router = express.Router();
 const perp = require('../controllers/perp');
 
 router.route('/perps').get(perp.getPerp);
+router.route('/perps/basis').get(perp.getPerpBasis);
+router.route('/perps/asset/:baseAsset').get(perp.getPerpAsset);
+router.route('/perps/:marketplace/:market/history').get(perp.getPerpHistory);
 
 module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const predictions = require('../controllers/predictions');
+
+router
+  .route('/predictions/performance')
+  .get(predictions.getPredictionPerformance);
+
+module.exports = router;
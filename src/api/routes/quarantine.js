@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const quarantine = require('../controllers/quarantine');
+const { requireAdminKey } = require('../auth');
+
+router.route('/quarantine').get(quarantine.getQuarantine);
+router
+  .route('/quarantine/:id/approve')
+  .post(requireAdminKey, quarantine.approveQuarantine);
+router
+  .route('/quarantine/:id/reject')
+  .post(requireAdminKey, quarantine.rejectQuarantine);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const adapters = require('../controllers/adapters');
+const { requireAdminKey } = require('../auth');
+
+// staleness state changes every hour and on acknowledgement, never cached
+router.route('/adapters/stale').get(adapters.getStaleAdapters);
+router
+  .route('/adapters/stale/:adapter/acknowledge')
+  .post(requireAdminKey, adapters.acknowledgeStaleAdapter);
+
+module.exports = router;
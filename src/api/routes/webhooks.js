@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const webhooks = require('../controllers/webhooks');
+const { requireAdminKey } = require('../auth');
+
+router
+  .route('/webhooks')
+  .get(requireAdminKey, webhooks.getWebhooks)
+  .post(requireAdminKey, webhooks.createWebhook);
+router.route('/webhooks/:id').delete(requireAdminKey, webhooks.deleteWebhook);
+router
+  .route('/webhooks/:id/deliveries')
+  .get(requireAdminKey, webhooks.getWebhookDeliveries);
+
+module.exports = router;
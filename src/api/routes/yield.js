@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const yieldControllers = require('../controllers/yield');
 
+router.route('/chart').get(yieldControllers.getYieldHistoryBulk);
 router.route('/chart/:pool').get(yieldControllers.getYieldHistory);
 router.route('/chartLendBorrow/:pool').get(yieldControllers.getYieldLendBorrowHistory);
 router.route('/volume/:pool').get(yieldControllers.getVolumeHistory);
@@ -4,10 +4,19 @@ const utils = require('../adaptors/utils');
 const AppError = require('../utils/appError');
 const exclude = require('../utils/exclude');
 const { derivePoolId } = require('../utils/poolId');
-const { sendMessage } = require('../utils/discordWebhook');
+const { notify } = require('../utils/notifier');
 const { connect } = require('../utils/dbConnection');
-const { upsertAdapterStats } = require('../queries/adapterStats');
+const {
+  upsertAdapterStats,
+  insertAdapterRun,
+  insertAdapterRunDrops,
+} = require('../queries/adapterStats');
 const { getYieldProject, buildInsertYieldQuery } = require('../queries/yield');
+const {
+  insertQuarantine,
+  getPendingQuarantine,
+  buildReleaseQuarantineQuery,
+} = require('../queries/quarantine');
 const {
   getConfigProject,
   buildInsertConfigQuery,
@@ -22,26 +31,37 @@ module.exports.handler = async (event, context) => {
 
   for (const record of event.Records) {
     const startedAt = new Date();
+    // pool counts and dropped pools of this run, filled by main (kept on error for partial runs)
+    const run = {
+      poolsReturned: null,
+      poolsDropped: {},
+      drops: [],
+      poolsInserted: null,
+    };
     let body;
     try {
       body = JSON.parse(record.body);
-      await main(body);
+      await main(body, run);
       const finishedAt = new Date();
       await recordAdapterStats({
         adapter: body.adaptor,
+        startedAt,
         finishedAt,
         durationMs: finishedAt - startedAt,
         status: 'success',
+        run,
       });
     } catch (err) {
       const finishedAt = new Date();
       console.log(err);
       await recordAdapterStats({
         adapter: body?.adaptor,
+        startedAt,
         finishedAt,
         durationMs: finishedAt - startedAt,
         status: 'error',
         error: formatErrorForStorage(err),
+        run,
       });
     }
   }
@@ -49,10 +69,12 @@ module.exports.handler = async (event, context) => {
 
 const recordAdapterStats = async ({
   adapter,
+  startedAt,
   finishedAt,
   durationMs,
   status,
   error = null,
+  run,
 }) => {
   if (!adapter) return;
 
@@ -68,6 +90,26 @@ const recordAdapterStats = async ({
     console.log('failed to update adapter stats');
     console.log(runtimeErr);
   }
+
+  try {
+    const adapterRunId = await insertAdapterRun({
+      adapter,
+      started_at: startedAt,
+      finished_at: finishedAt,
+      duration_ms: durationMs,
+      status,
+      error,
+      pools_returned: run.poolsReturned,
+      pools_dropped: run.poolsDropped,
+      pools_inserted: run.poolsInserted,
+    });
+    if (run.drops.length) {
+      await insertAdapterRunDrops(adapterRunId, adapter, run.drops);
+    }
+  } catch (runtimeErr) {
+    console.log('failed to insert adapter run');
+    console.log(runtimeErr);
+  }
 };
 
 const formatErrorForStorage = (err) => {
@@ -75,13 +117,34 @@ const formatErrorForStorage = (err) => {
   return message.slice(0, 4000);
 };
 
+// max nb of dropped pools per stage we keep the details of (counts are always complete)
+const maxDropDetailsPerStage = 100;
+
+// record a dropped pool on the run: count per stage + pool id and reason
+const recordDrop = (run, stage, pool, reason) => {
+  run.poolsDropped[stage] = (run.poolsDropped[stage] ?? 0) + 1;
+  if (run.poolsDropped[stage] <= maxDropDetailsPerStage) {
+    run.drops.push({ pool: pool ?? null, stage, reason });
+  }
+};
+
+// removes pools which don't pass `keep` and records them on the run,
+// `reason` describes why a given pool was removed
+const dropPools = (run, stage, data, keep, reason) =>
+  data.filter((p) => {
+    if (keep(p)) return true;
+    recordDrop(run, stage, p?.pool, reason(p));
+    return false;
+  });
+
 // func for running adaptor, storing result to db
-const main = async (body) => {
+const main = async (body, run) => {
   // ---------- run adaptor
   console.log(body.adaptor);
   const project = require(`../adaptors/${body.adaptor}`);
   let data = await project.apy();
   console.log(data[0]);
+  run.poolsReturned = data.length;
 
   const protocolConfig = (
     await axios.get('https://api.llama.fi/config/yields?a=1')
@@ -92,12 +155,23 @@ const main = async (body) => {
 
   // ---------- prepare prior insert
   // remove potential null/undefined objects in array
-  data = data.filter((p) => p);
+  data = dropPools(
+    run,
+    'invalid',
+    data,
+    (p) => p,
+    (p) => `pool object is ${p}`
+  );
 
   // Skip routing-only rows in the legacy DB.
   if (['euler-v2', 'aave-v4', 'exactly'].includes(body.adaptor)) {
-    data = data.filter((p) => p.poolKind !== 'routing_collateral');
-    data = data.filter((p) => p.poolKind !== 'routing_reserve');
+    data = dropPools(
+      run,
+      'routingOnly',
+      data,
+      (p) => !['routing_collateral', 'routing_reserve'].includes(p.poolKind),
+      (p) => `routing-only poolKind ${p.poolKind}`
+    );
   }
 
   // cast dtypes
@@ -128,10 +202,19 @@ const main = async (body) => {
       : p.tvlUsd;
 
   // Filter tvl to be within DB boundaries.
-  data = data.filter(
+  data = dropPools(
+    run,
+    'tvlBounds',
+    data,
     (p) =>
       getTvlForLowerBound(p) >= exclude.boundaries.tvlUsdDB.lb &&
-      p.tvlUsd <= exclude.boundaries.tvlUsdDB.ub
+      p.tvlUsd <= exclude.boundaries.tvlUsdDB.ub,
+    (p) =>
+      p.tvlUsd > exclude.boundaries.tvlUsdDB.ub
+        ? `tvlUsd ${p.tvlUsd} above tvlUsdDB.ub ${exclude.boundaries.tvlUsdDB.ub}`
+        : `tvlUsd ${getTvlForLowerBound(p)} below tvlUsdDB.lb ${
+            exclude.boundaries.tvlUsdDB.lb
+          }`
   );
 
   // nullify NaN, undefined or Infinity apy values
@@ -159,8 +242,12 @@ const main = async (body) => {
   }));
 
   // remove pools where all 3 apy related fields are null
-  data = data.filter(
-    (p) => !(p.apy === null && p.apyBase === null && p.apyReward === null)
+  data = dropPools(
+    run,
+    'apyNull',
+    data,
+    (p) => !(p.apy === null && p.apyBase === null && p.apyReward === null),
+    () => 'apy, apyBase and apyReward are all null/non-finite'
   );
 
   // in case of negative apy values (cause of bug, or else we set those to 0)
@@ -201,15 +288,28 @@ const main = async (body) => {
   }));
 
   // remove pools based on apy boundaries
-  data = data.filter(
+  data = dropPools(
+    run,
+    'apyBounds',
+    data,
     (p) =>
       p.apy !== null &&
       p.apy >= exclude.boundaries.apy.lb &&
-      p.apy <= exclude.boundaries.apy.ub
+      p.apy <= exclude.boundaries.apy.ub,
+    (p) =>
+      p.apy === null
+        ? 'apy is null'
+        : `apy ${p.apy} outside apy bounds [${exclude.boundaries.apy.lb}, ${exclude.boundaries.apy.ub}]`
   );
 
   // remove exclusion pools
-  data = data.filter((p) => !exclude.excludePools.includes(p.pool));
+  data = dropPools(
+    run,
+    'excludePools',
+    data,
+    (p) => !exclude.excludePools.includes(p.pool),
+    () => 'pool is in excludePools'
+  );
 
   // format chain symbol
   data = data.map((p) => ({ ...p, chain: utils.formatChain(p.chain) }));
@@ -327,17 +427,24 @@ const main = async (body) => {
   // if tvl
   // - has increased >10x since the last hourly update
   // - and has been updated in the last 5 hours
-  // -> block update
+  // -> block update and store the sample in the quarantine table for review
+  // if the spike persists across `spikeReleaseRuns` consecutive runs
+  // -> insert the sample and release the quarantined ones (retroactively)
 
   // load last entries for each pool for this sepcific adapter
   const dataInitial = await getYieldProject(body.adaptor);
+  const pendingQuarantine = await getPendingQuarantine(body.adaptor);
 
   const dataDB = [];
   const nHours = 5;
   const tvlDeltaMultiplier = 5;
   const apyDeltaMultiplier = tvlDeltaMultiplier;
   const timedeltaLimit = 60 * 60 * nHours * 1000;
+  const spikeReleaseRuns = 3;
   const droppedPools = [];
+  const quarantine = [];
+  const releasedPools = [];
+  const releaseIds = [];
   for (const p of data) {
     const x = dataInitial.find((e) => e.configID === p.configID);
     if (x === undefined) {
@@ -352,7 +459,35 @@ const main = async (body) => {
         p.apy > x.apy * apyDeltaMultiplier) &&
       timedelta < timedeltaLimit
     ) {
+      // samples quarantined since the last insert of the pool = previous consecutive spiking runs
+      const pending = pendingQuarantine.filter(
+        (q) => q.configID === p.configID && q.timestamp > x.timestamp
+      );
+      if (pending.length + 1 >= spikeReleaseRuns) {
+        console.log(`releasing pool ${p.pool}`);
+        releaseIds.push(...pending.map((q) => q.spike_quarantine_id));
+        releasedPools.push({
+          configID: p.configID,
+          tvlUsd: p.tvlUsd,
+          tvlUsdDB: x.tvlUsd,
+          apy: p.apy,
+          apyDB: x.apy,
+          nReleased: pending.length,
+        });
+        dataDB.push(p);
+        continue;
+      }
       console.log(`removing pool ${p.pool}`);
+      recordDrop(
+        run,
+        'spike',
+        p.pool,
+        `tvlUsd ${x.tvlUsd} -> ${p.tvlUsd} (${(p.tvlUsd / x.tvlUsd).toFixed(
+          2
+        )}x), apy ${x.apy} -> ${p.apy} (${(p.apy / x.apy).toFixed(
+          2
+        )}x) within ${nHours}h`
+      );
       droppedPools.push({
         configID: p.configID,
         symbol: p.symbol,
@@ -364,12 +499,41 @@ const main = async (body) => {
         apyDB: x.apy,
         apyMultiplier: p.apy / x.apy,
       });
+      quarantine.push({
+        configID: p.configID,
+        adapter: body.adaptor,
+        pool: p.pool,
+        timestamp: p.timestamp,
+        tvl_usd: p.tvlUsd,
+        apy: p.apy,
+        tvl_usd_prev: x.tvlUsd,
+        apy_prev: x.apy,
+        timestamp_prev: x.timestamp,
+        tvl_multiplier: Number.isFinite(p.tvlUsd / x.tvlUsd)
+          ? p.tvlUsd / x.tvlUsd
+          : null,
+        apy_multiplier: Number.isFinite(p.apy / x.apy) ? p.apy / x.apy : null,
+        sample: p,
+      });
       continue;
     }
     dataDB.push(p);
   }
+
+  if (quarantine.length) {
+    try {
+      await insertQuarantine(quarantine);
+    } catch (err) {
+      console.log('failed to insert quarantined samples');
+      console.log(err);
+    }
+  }
+
   // return if dataDB is empty;
-  if (!dataDB.length) return;
+  if (!dataDB.length) {
+    run.poolsInserted = 0;
+    return;
+  }
 
   // send msg to discord if tvl spikes
   const delta = data.length - dataDB.length;
@@ -398,10 +562,26 @@ const main = async (body) => {
             `
         )
         .join('\n');
-      await sendMessage(message, process.env.TVL_SPIKE_WEBHOOK);
+      await notify('tvl_spike', message);
     }
   }
 
+  if (releasedPools.length) {
+    const message = releasedPools
+      .map(
+        (p) =>
+          `Spike persisted for ${spikeReleaseRuns} runs for configID: ${
+            p.configID
+          } (tvlUsd ${p.tvlUsdDB.toFixed()} -> ${p.tvlUsd.toFixed()}, apy ${p.apyDB.toFixed(
+            2
+          )} -> ${p.apy.toFixed(2)}), released ${
+            p.nReleased
+          } quarantined sample(s)`
+      )
+      .join('\n');
+    await notify('tvl_spike', message);
+  }
+
   // ---------- discord bot for newly added projects
   const distinctProjects = await getDistinctProjects();
   if (
@@ -410,12 +590,15 @@ const main = async (body) => {
       .length
   ) {
     const message = `Project ${body.adaptor} yields have been added`;
-    await sendMessage(message, process.env.NEW_YIELDS_WEBHOOK);
+    await notify('new_project', message, {
+      dedupeKey: `new_project:${body.adaptor}`,
+    });
   }
 
   // ---------- DB INSERT
-  const response = await insertConfigYieldTransaction(dataDB);
+  const response = await insertConfigYieldTransaction(dataDB, releaseIds);
   console.log(response);
+  run.poolsInserted = dataDB.length;
 };
 
 function extractTokenFromPoolId(poolId) {
@@ -426,12 +609,16 @@ function extractTokenFromPoolId(poolId) {
 }
 
 // --------- transaction query
-const insertConfigYieldTransaction = async (payload) => {
+// releaseIds: quarantined samples to insert along with the payload
+const insertConfigYieldTransaction = async (payload, releaseIds = []) => {
   const conn = await connect();
 
   // build queries
   const configQ = buildInsertConfigQuery(payload);
   const yieldQ = buildInsertYieldQuery(payload);
+  const releaseQ = releaseIds.length
+    ? buildReleaseQuarantineQuery(releaseIds)
+    : null;
 
   return conn
     .tx(async (t) => {
@@ -440,6 +627,8 @@ const insertConfigYieldTransaction = async (payload) => {
       const q1 = await t.result(configQ);
       // 2. yield: insert
       const q2 = await t.result(yieldQ);
+      // 3. quarantine: release (insert the quarantined samples into yield)
+      if (releaseQ) return [q1, q2, await t.result(releaseQ)];
 
       return [q1, q2];
     })
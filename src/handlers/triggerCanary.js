@@ -0,0 +1,302 @@
+const sdk = require('@defillama/sdk');
+
+const utils = require('../adaptors/utils');
+const {
+  getActivePositions,
+  getSnapshotAt,
+  getReportedApy,
+  insertSnapshot,
+  updatePositionHealth,
+  upsertReturns,
+} = require('../queries/canary');
+
+module.exports.handler = async (event, context) => {
+  context.callbackWaitsForEmptyEventLoop = false;
+  await main();
+};
+
+const DAY = 1000 * 60 * 60 * 24;
+const T = 365;
+
+// return windows (in days) for which we compare the measured against the reported apy
+const windows = {
+  '24h': 1,
+  '7d': 7,
+  '30d': 30,
+  '90d': 90,
+};
+
+// deviation thresholds, relative to the reported apy (floored at 1% so that
+// pools with near zero apy don't get flagged on rounding noise)
+const watchThreshold = 0.2;
+const flagThreshold = 0.5;
+
+// snapshots, one row per active position; then recompute the windowed returns
+const main = async () => {
+  console.log('START CANARY TRACKER');
+
+  const positions = await getActivePositions();
+  console.log('nb of active positions', positions.length);
+
+  for (const position of positions) {
+    try {
+      await trackPosition(position);
+    } catch (err) {
+      console.log(`canary ${position.canary_position_id} failed`);
+      console.log(err);
+      await updatePositionHealth(position.canary_position_id, {
+        status: 'unknown',
+        reason: (err?.message || String(err)).slice(0, 500),
+      });
+    }
+  }
+};
+
+const trackPosition = async (position) => {
+  const timestamp = new Date();
+  const chain = position.chain.toLowerCase();
+  const target = position.receipt_token ?? position.vault_address;
+
+  const reader = readers[position.detected_type];
+  if (!reader) {
+    throw new Error(`unsupported detected_type ${position.detected_type}`);
+  }
+
+  // ---------- on-chain state
+  const { shareBalance, sharePrice } = await reader(position, chain, target);
+  const underlyingBalance = shareBalance * sharePrice;
+
+  const { pricesByAddress } = await utils.getPrices(
+    [position.deposit_token],
+    chain
+  );
+  const tokenPriceUsd = pricesByAddress[position.deposit_token.toLowerCase()];
+  if (!Number.isFinite(tokenPriceUsd)) {
+    throw new Error(`missing price for ${position.deposit_token}`);
+  }
+
+  const rewards = await getRewards(position, chain);
+
+  const snapshot = {
+    position_id: position.canary_position_id,
+    timestamp,
+    share_balance: shareBalance,
+    share_price: sharePrice,
+    underlying_balance: underlyingBalance,
+    position_value_usd: underlyingBalance * tokenPriceUsd,
+    token_price_usd: tokenPriceUsd,
+    rewards,
+  };
+
+  // ---------- windowed returns
+  const returns = [];
+  for (const [timeWindow, days] of Object.entries(windows)) {
+    const start = await getSnapshotAt(
+      position.canary_position_id,
+      new Date(timestamp - days * DAY)
+    );
+    // position younger than the window -> nothing to compare against yet
+    if (!start) continue;
+    returns.push(
+      await computeReturn(position, timeWindow, toState(start), snapshot)
+    );
+  }
+  // inception uses the entry state of the position as starting point
+  returns.push(
+    await computeReturn(
+      position,
+      'inception',
+      {
+        timestamp: position.deposited_at,
+        underlying_balance: position.entry_balance ?? position.deposit_amount,
+        position_value_usd: position.deposit_amount_usd,
+        rewardsUsd: 0,
+      },
+      snapshot
+    )
+  );
+
+  const health = checkHealth(snapshot, returns);
+
+  await insertSnapshot(snapshot, health);
+  if (returns.length) await upsertReturns(returns);
+};
+
+// ---------- readers per detected_type
+// each returns the share balance of the wallet and the price of 1 share
+// denominated in the deposit token
+const readers = {
+  erc4626: async (position, chain, target) => {
+    const decimals = Number(
+      (await sdk.api.abi.call({ target, abi: 'erc20:decimals', chain }))
+        .output
+    );
+    const [balance, assets] = await Promise.all([
+      sdk.api.abi.call({
+        target,
+        abi: 'erc20:balanceOf',
+        params: [position.wallet_address],
+        chain,
+      }),
+      sdk.api.abi.call({
+        target: position.vault_address,
+        abi: 'function convertToAssets(uint256 shares) external view returns (uint256)',
+        params: [(10n ** BigInt(decimals)).toString()],
+        chain,
+      }),
+    ]);
+
+    return {
+      shareBalance: Number(balance.output) / 10 ** decimals,
+      sharePrice:
+        Number(assets.output) / 10 ** position.deposit_token_decimals,
+    };
+  },
+  // aToken style receipts: balance grows, 1 share == 1 underlying
+  rebasing: async (position, chain, target) => {
+    const balance = await sdk.api.abi.call({
+      target,
+      abi: 'erc20:balanceOf',
+      params: [position.wallet_address],
+      chain,
+    });
+
+    return {
+      shareBalance:
+        Number(balance.output) / 10 ** position.deposit_token_decimals,
+      sharePrice: 1,
+    };
+  },
+};
+
+// reward_config: [{ token, decimals, target, abi }] where `abi` returns the
+// claimable amount for the wallet (called with the wallet address as only param)
+const getRewards = async (position, chain) => {
+  const rewardConfig = position.reward_config;
+  if (!Array.isArray(rewardConfig) || !rewardConfig.length) return null;
+
+  const { pricesByAddress } = await utils.getPrices(
+    rewardConfig.map((r) => r.token),
+    chain
+  );
+
+  return Promise.all(
+    rewardConfig.map(async (r) => {
+      const claimable = await sdk.api.abi.call({
+        target: r.target,
+        abi: r.abi,
+        params: [position.wallet_address],
+        chain,
+      });
+      const amount = Number(claimable.output) / 10 ** r.decimals;
+      const price = pricesByAddress[r.token.toLowerCase()] ?? null;
+
+      return {
+        token: r.token,
+        amount,
+        amountUsd: price === null ? null : amount * price,
+      };
+    })
+  );
+};
+
+////// helper functions
+const sumRewardsUsd = (rewards) =>
+  (rewards ?? []).reduce((acc, r) => acc + (r.amountUsd ?? 0), 0);
+
+const toState = (snapshot) => ({
+  ...snapshot,
+  rewardsUsd: sumRewardsUsd(snapshot.rewards),
+});
+
+// compounding for the base component, linear for rewards (they aren't reinvested)
+const annualise = (roi, days) => ((1 + roi) ** (T / days) - 1) * 100;
+
+const classify = (deviation, reported) => {
+  if (deviation === null) return null;
+  const relative = Math.abs(deviation) / Math.max(Math.abs(reported), 1);
+  return relative >= flagThreshold
+    ? 'FLAG'
+    : relative >= watchThreshold
+    ? 'WATCH'
+    : 'OK';
+};
+
+// deviations are absolute differences in apy percentage points
+const difference = (actual, reported) =>
+  Number.isFinite(actual) && Number.isFinite(reported)
+    ? actual - reported
+    : null;
+
+const computeReturn = async (position, timeWindow, start, end) => {
+  const daysElapsed = (end.timestamp - new Date(start.timestamp)) / DAY;
+
+  const baseRoi = end.underlying_balance / start.underlying_balance - 1;
+  const rewardRoi =
+    (sumRewardsUsd(end.rewards) - start.rewardsUsd) / start.position_value_usd;
+  const grossRoi = baseRoi + rewardRoi;
+
+  const baseApy = daysElapsed > 0 ? annualise(baseRoi, daysElapsed) : null;
+  const rewardApy = daysElapsed > 0 ? (rewardRoi * T * 100) / daysElapsed : null;
+  const totalApy =
+    baseApy !== null && rewardApy !== null ? baseApy + rewardApy : null;
+
+  // one-off costs (gas + entry fee) only matter over the full holding period
+  let netRoi = null;
+  let netApy = null;
+  if (timeWindow === 'inception') {
+    const costs =
+      (position.deposit_gas_cost_usd + position.withdraw_gas_cost_usd) /
+        position.deposit_amount_usd +
+      position.entry_fee_pct / 100;
+    netRoi = grossRoi - costs;
+    netApy = daysElapsed > 0 ? annualise(netRoi, daysElapsed) : null;
+  }
+
+  const reported = await getReportedApy(
+    position.configID,
+    new Date(start.timestamp),
+    end.timestamp
+  );
+  const deviationTotal = difference(totalApy, reported.apy);
+  const deviationBase = difference(baseApy, reported.apyBase);
+  const deviationOnchain = difference(baseApy, end.on_chain_rate_apy);
+
+  const finite = (x) => (Number.isFinite(x) ? x : null);
+
+  return {
+    position_id: position.canary_position_id,
+    configID: position.configID,
+    timestamp: end.timestamp,
+    time_window: timeWindow,
+    days_elapsed: daysElapsed,
+    actual_base_roi: finite(baseRoi),
+    actual_reward_roi: finite(rewardRoi),
+    actual_gross_roi: finite(grossRoi),
+    actual_base_apy: finite(baseApy),
+    actual_reward_apy: finite(rewardApy),
+    actual_total_apy: finite(totalApy),
+    net_roi: finite(netRoi),
+    net_apy: finite(netApy),
+    deviation_total_pct: deviationTotal,
+    deviation_base_pct: deviationBase,
+    deviation_vs_onchain: deviationOnchain,
+    status: classify(deviationTotal, reported.apy),
+  };
+};
+
+// detect positions which can't be trusted anymore ($0 balance, frozen vaults, losses)
+const checkHealth = (snapshot, returns) => {
+  if (!(snapshot.share_balance > 0)) {
+    return { status: 'critical', reason: 'zero share balance' };
+  }
+  const weekly = returns.find((r) => r.time_window === '7d');
+  if (weekly && weekly.actual_base_roi === 0) {
+    return { status: 'warning', reason: 'share price unchanged for 7d' };
+  }
+  const daily = returns.find((r) => r.time_window === '24h');
+  if (daily && daily.actual_base_roi < 0) {
+    return { status: 'warning', reason: 'negative base return over 24h' };
+  }
+  return { status: 'healthy', reason: null };
+};
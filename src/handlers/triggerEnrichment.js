@@ -2,6 +2,10 @@ const axios = require('axios');
 const ss = require('simple-statistics');
 
 const utils = require('../utils/s3');
+const {
+  resolveTokenMetadata,
+  getTokenMetadataKey,
+} = require('../adaptors/utils');
 const {
   getYieldFiltered,
   getYieldOffset,
@@ -9,13 +13,27 @@ const {
   getYieldLendBorrow,
 } = require('../queries/yield');
 const { getStat } = require('../queries/stat');
+const { upsertEnrichedSnapshot } = require('../queries/enrichedSnapshot');
+const { getAdapterRunProvenance } = require('../queries/adapterStats');
+const { getHiddenProjects } = require('../queries/staleProject');
+const {
+  getActiveSubscriptions,
+  getAlertStates,
+  upsertAlertStates,
+  insertDeliveries,
+} = require('../queries/webhook');
+const { deliverWebhooks } = require('./triggerWebhookDelivery');
 
 const { welfordUpdate } = require('../utils/welford');
 const poolsResponseColumns = require('../utils/enrichedColumns');
+const { evaluateSubscriptions } = require('../utils/webhooks');
+const { predict } = require('../utils/predictor');
 const { getExcludedAdaptors } = require('../utils/exclude');
 const { checkStablecoin } = require('../adaptors/checkStablecoin');
 
 const ZERO_TVL_CATEGORIES = ['Lending', 'Uncollateralized Lending'];
+// pools without new data for this long are flagged as stale (same as the monitor's first tier)
+const STALE_HOURS = 6;
 
 module.exports.handler = async (event, context) => {
   await main();
@@ -38,6 +56,14 @@ const main = async () => {
   const excludedProjects = await getExcludedAdaptors();
   data = data.filter((p) => !excludedProjects.has(p.project));
 
+  // remove projects which have been stale for too long (see triggerMonitor)
+  const hiddenProjects = await getHiddenProjects();
+  for (const { project, hidden_reason } of hiddenProjects) {
+    console.log(`hiding ${project}: ${hidden_reason}`);
+  }
+  const hidden = new Set(hiddenProjects.map((p) => p.project));
+  data = data.filter((p) => !hidden.has(p.project));
+
   // remove aave v2 frozen assets from dataEnriched (we keep ingesting into db, but don't
   // want to display frozen pools on the UI)
   data = data.filter(
@@ -100,6 +126,10 @@ const main = async () => {
     apyMean30d: avgApy30d[p.configID] ?? null,
   }));
 
+  // add last update, age and the adapter run which produced the pool's latest sample
+  console.log('\nadding freshness fields');
+  dataEnriched = await addFreshness(dataEnriched);
+
   // add info about stablecoin, exposure etc.
   console.log('\nadding additional pool info fields');
   const stablecoins = (
@@ -124,6 +154,10 @@ const main = async () => {
   // get catgory data (we hardcode IL to true for options protocols)
   dataEnriched = dataEnriched.map((el) => addPoolInfo(el, stablecoins, config));
 
+  // add symbol and decimals of underlying and reward tokens
+  console.log('\nadding token metadata');
+  dataEnriched = await addTokenMetadata(dataEnriched);
+
   // add ML and overview plot fields
   // expanding mean, expanding standard deviation,
   // geometric mean and standard deviation (of daily returns)
@@ -183,21 +217,6 @@ const main = async () => {
 
   // add ML predictions
   console.log('\nadding apy runway prediction');
-  // load categorical feature mappings
-  const modelMappings = await utils.readFromS3(
-    'llama-apy-prediction-prod',
-    'mlmodelartefacts/categorical_feature_mapping_2022_05_20.json'
-  );
-  for (const el of dataEnriched) {
-    project_fact = modelMappings.project_factorized[el.project];
-    chain_fact = modelMappings.chain_factorized[el.chain];
-    // in case of new project assign -1 to factorised variable indicated missing value
-    // RF usually handles this quite well, of course if we get lots of new projects, will
-    // need to retrain the algorithm
-    el.project_factorized = project_fact === undefined ? -1 : project_fact;
-    el.chain_factorized = chain_fact === undefined ? -1 : chain_fact;
-  }
-
   // impute null values on apyStdExpanding (this will be null whenever we have pools with less than 2
   // samples, eg. whenever a new pool project is listed or an existing project adds new pools
   dataEnriched = dataEnriched.map((p) => ({
@@ -205,25 +224,9 @@ const main = async () => {
     apyStdExpanding: p.apyStdExpanding ?? 0,
   }));
 
-  const y_pred = (
-    await axios.post(
-        'https://yet9i1xlhf.execute-api.eu-central-1.amazonaws.com/predictions',
-        dataEnriched.map((el) => ({
-          apy: el.apy,
-          tvlUsd: el.tvlUsd,
-          apyMeanExpanding: el.apyMeanExpanding,
-          apyStdExpanding: el.apyStdExpanding,
-          chain_factorized: el.chain_factorized,
-          project_factorized: el.project_factorized,
-        }))
-      )
-  ).data.predictions;
-  // add predictions to dataEnriched
-  if (dataEnriched.length !== y_pred.length) {
-    throw new Error(
-      'prediction array length does not match dataEnriched input shape!'
-    );
-  }
+  // rf model with the in-process baseline as fallback (see utils/predictor.js)
+  const { model, predictions: y_pred } = await predict(dataEnriched);
+  console.log('predictions by', model);
   // add predictions to dataEnriched
   for (const [i, el] of dataEnriched.entries()) {
     // for certain conditions we don't want to show predictions on the frontend
@@ -255,6 +258,7 @@ const main = async () => {
     el.predictions = {
       predictedClass,
       predictedProbability,
+      model,
     };
   }
 
@@ -263,7 +267,11 @@ const main = async () => {
     ...p,
     predictions:
       p.project === 'notional' && p.poolMeta?.toLowerCase().includes('maturing')
-        ? { predictedClass: 'Stable/Up', predictedProbability: 100 }
+        ? {
+            ...p.predictions,
+            predictedClass: 'Stable/Up',
+            predictedProbability: 100,
+          }
         : p.predictions,
   }));
 
@@ -349,22 +357,153 @@ const main = async () => {
     data: pools,
   });
 
+  // keep every hourly /pools output for time travel queries (/pools?at=)
+  const keySnapshot = `enriched/snapshots/pools_${timestamp}.json`;
+  await utils.writeToS3(bucket, keySnapshot, pools);
+  await upsertEnrichedSnapshot({
+    timestamp,
+    bucket,
+    key: keySnapshot,
+    nb_pools: pools.length,
+  });
+
   // query db for lendBorrow and store to s3 as origin for cloudfront
   await utils.storeAPIResponse(
     'defillama-datasets',
     'yield-api/lendBorrow',
     await getYieldLendBorrow()
   );
+
+  // evaluate user webhook subscriptions against this run's pools
+  // (failures here shouldn't fail the enrichment run, output is already stored)
+  console.log('\nevaluating webhook subscriptions');
+  try {
+    await processWebhooks(dataEnriched);
+  } catch (err) {
+    console.log(err);
+  }
 };
 
 ////// helper functions
+// stale: older than STALE_HOURS, or not refreshed by the adapter's latest successful run
+// (eg the pool was dropped by the adapter or blocked by the spike check)
+const addFreshness = async (pools) => {
+  const pairs = [
+    ...new Map(
+      pools.map((p) => [
+        `${p.project}:${p.timestamp.toISOString()}`,
+        [p.project, p.timestamp],
+      ])
+    ).values(),
+  ];
+  const provenance = await getAdapterRunProvenance(
+    pairs.map(([adapter]) => adapter),
+    pairs.map(([, timestamp]) => timestamp)
+  );
+  const runs = Object.fromEntries(
+    provenance.map((r) => [`${r.adapter}:${r.timestamp.toISOString()}`, r])
+  );
+
+  const now = Date.now();
+  return pools.map((p) => {
+    const run = runs[`${p.project}:${p.timestamp.toISOString()}`];
+    const ageHours = (now - p.timestamp) / (1000 * 60 * 60);
+    return {
+      ...p,
+      lastUpdate: p.timestamp.toISOString(),
+      ageHours: +ageHours.toFixed(2),
+      adapterRunId: run?.adapter_run_id ?? null,
+      stale:
+        ageHours >= STALE_HOURS ||
+        (run?.last_success_at ? p.timestamp < run.last_success_at : false),
+    };
+  });
+};
+
+const processWebhooks = async (pools) => {
+  const subscriptions = await getActiveSubscriptions();
+  if (!subscriptions.length) return;
+
+  const prevStates = await getAlertStates(
+    subscriptions.map((s) => s.webhook_subscription_id)
+  );
+  const { states, alerts } = evaluateSubscriptions(
+    subscriptions,
+    pools,
+    prevStates
+  );
+  console.log(
+    'nb of state changes',
+    states.length,
+    'nb of alerts',
+    alerts.length
+  );
+
+  if (states.length) await upsertAlertStates(states);
+  if (alerts.length) await insertDeliveries(alerts);
+  await deliverWebhooks();
+};
+
+// pool chain names (formatted in the adapter handler) -> coins api chain keys
+const coinsChains = {
+  BSC: 'bsc',
+  Avalanche: 'avax',
+  Gnosis: 'xdai',
+  'OP Mainnet': 'optimism',
+  'ZKsync Era': 'era',
+  'Polygon zkEVM': 'polygon_zkevm',
+  'Hyperliquid L1': 'hyperliquid',
+  'Plume Mainnet': 'plume_mainnet',
+  'Milkomeda C1': 'milkomeda',
+};
+const toCoinsChain = (chain) =>
+  coinsChains[chain] ?? chain.toLowerCase().replace(/\s/g, '_');
+
+const addTokenMetadata = async (pools) => {
+  const tokens = pools.flatMap((p) =>
+    [...(p.underlyingTokens ?? []), ...(p.rewardTokens ?? [])].map(
+      (address) => ({ chain: toCoinsChain(p.chain), address })
+    )
+  );
+
+  let metadata = new Map();
+  try {
+    metadata = await resolveTokenMetadata(tokens);
+  } catch (err) {
+    // metadata is nice to have, don't fail the enrichment run because of it
+    console.log('token metadata resolution failed', err);
+  }
+
+  const describe = (chain, tokenList) =>
+    tokenList?.map((address) => {
+      const m = metadata.get(
+        getTokenMetadataKey({ chain: toCoinsChain(chain), address })
+      );
+      return {
+        address,
+        symbol: m?.symbol ?? null,
+        decimals: m?.decimals ?? null,
+      };
+    }) ?? null;
+
+  return pools.map((p) => ({
+    ...p,
+    underlyingTokensMetadata: describe(p.chain, p.underlyingTokens),
+    rewardTokensMetadata: describe(p.chain, p.rewardTokens),
+  }));
+};
+
 // calculate absolute change btw current apy and offset value
 const enrich = (pool, days, offsets) => {
   const poolC = { ...pool };
   for (let d = 0; d < days.length; d++) {
     let X = offsets[d];
-    const apyOffset = X.find((x) => x.configID === poolC.configID)?.apy;
-    poolC[`apyPct${days[d]}D`] = poolC['apy'] - apyOffset;
+    const offset = X.find((x) => x.configID === poolC.configID);
+    poolC[`apyPct${days[d]}D`] = poolC['apy'] - offset?.apy;
+    // relative tvl change in %
+    poolC[`tvlUsdPct${days[d]}D`] = offset?.tvlUsd
+      ? ((poolC['tvlUsd'] - offset.tvlUsd) / offset.tvlUsd) * 100
+      : null;
   }
   return poolC;
 };
@@ -7,6 +7,13 @@ module.exports.handler = async () => {
   await main();
 };
 
+// all listed adaptors minus the excluded ones
+const getAdaptors = async () => {
+  const excludedAdaptors = await getExcludedAdaptors();
+  return adaptorList.filter((a) => !excludedAdaptors.has(a));
+};
+module.exports.getAdaptors = getAdaptors;
+
 // starting pipeline
 // sends 1 msg for each adaptor to adaptorqueue
 // from which the adaptor lambda polls of messages
@@ -15,8 +22,7 @@ const main = async () => {
 
   try {
     const sqs = new SQS();
-    const excludedAdaptors = await getExcludedAdaptors();
-    const adaptors = adaptorList.filter((a) => !excludedAdaptors.has(a));
+    const adaptors = await getAdaptors();
 
     for (const adaptor of adaptors) {
       await sqs
@@ -0,0 +1,65 @@
+const utils = require('../utils/s3');
+const { getYieldHistoryDaily } = require('../queries/yield');
+const { toCSV } = require('../utils/export');
+
+const historyDumpColumns = [
+  'timestamp',
+  'tvlUsd',
+  'apy',
+  'apyBase',
+  'apyReward',
+  'il7d',
+  'apyBase7d',
+  'pricePerShare',
+];
+
+module.exports.handler = async (event, context) => {
+  await main();
+};
+
+// nightly full (daily) history dump per pool, next to yield-api/pools:
+// writes yield-api/history/<configID>.csv for each pool of the latest enrichment run
+const main = async () => {
+  const pools = await utils.readFromS3(
+    process.env.BUCKET_DATA,
+    'enriched/dataEnriched.json'
+  );
+  const configIDs = pools.map((p) => p.pool);
+  console.log('nb of pools', configIDs.length);
+
+  const batchSize = 100;
+  const uploadConcurrency = 25;
+  const expires = new Date(Date.now() + 1000 * 60 * 60 * 24);
+
+  let failed = 0;
+  for (let i = 0; i < configIDs.length; i += batchSize) {
+    const batch = configIDs.slice(i, i + batchSize);
+    const history = {};
+    for (const { configID, ...row } of await getYieldHistoryDaily(batch)) {
+      (history[configID] ??= []).push(row);
+    }
+
+    const entries = Object.entries(history);
+    for (let j = 0; j < entries.length; j += uploadConcurrency) {
+      const results = await Promise.allSettled(
+        entries
+          .slice(j, j + uploadConcurrency)
+          .map(([configID, rows]) =>
+            utils.storeAPIFile(
+              'defillama-datasets',
+              `yield-api/history/${configID}.csv`,
+              toCSV(rows, historyDumpColumns),
+              'text/csv',
+              expires
+            )
+          )
+      );
+      // a failed upload keeps the pool's previous dump, the others go on
+      for (const r of results.filter((r) => r.status === 'rejected')) {
+        failed += 1;
+        console.log('history dump upload failed', r.reason?.message);
+      }
+    }
+  }
+  console.log(`history dumps stored, ${failed} failed uploads`);
+};
@@ -0,0 +1,143 @@
+const sdk = require('@defillama/sdk');
+const axios = require('axios');
+
+const { getHolderPools, insertHolder } = require('../queries/holder');
+
+module.exports.handler = async (event, context) => {
+  context.callbackWaitsForEmptyEventLoop = false;
+  await main(context);
+};
+
+// pools are processed by tvl (desc), the smallest ones are skipped if there are more
+const maxPools = 2000;
+// rows are stored every `insertEvery` pools, so a timeout only loses the last chunk
+const insertEvery = 100;
+// stop starting new batches when the lambda has less time left than this
+const minRemainingMs = 60e3;
+
+// config.chain -> [sdk chain, ankr blockchain id]
+const chains = {
+  Ethereum: ['ethereum', 'eth'],
+  Arbitrum: ['arbitrum', 'arbitrum'],
+  Base: ['base', 'base'],
+  Optimism: ['optimism', 'optimism'],
+  Polygon: ['polygon', 'polygon'],
+  BSC: ['bsc', 'bsc'],
+  Avalanche: ['avax', 'avalanche'],
+  Fantom: ['fantom', 'fantom'],
+  Linea: ['linea', 'linea'],
+  Scroll: ['scroll', 'scroll'],
+  Gnosis: ['xdai', 'gnosis'],
+};
+
+const ankrUrl = () =>
+  `https://rpc.ankr.com/multichain/${process.env.ANKR_API_KEY}`;
+
+const ankrCall = async (method, params) => {
+  const response = (
+    await axios.post(ankrUrl(), {
+      jsonrpc: '2.0',
+      id: 1,
+      method,
+      params,
+    })
+  ).data;
+  if (response.error) throw new Error(response.error.message);
+  return response.result;
+};
+
+// we run this once per day, holder counts don't move much intraday
+const main = async (context) => {
+  console.log('START HOLDER PIPELINE');
+
+  const pools = await getHolderPools(Object.keys(chains), maxPools);
+  console.log('nb of pools', pools.length);
+
+  const f = 1000 * 60 * 60 * 24;
+  const timestamp = new Date(Math.floor(Date.now() / f) * f);
+
+  let payload = [];
+  let nbRows = 0;
+  const store = async () => {
+    if (!payload.length) return;
+    const response = await insertHolder(payload);
+    console.log(response);
+    nbRows += payload.length;
+    payload = [];
+  };
+
+  const batchSize = 5;
+  for (let i = 0; i < pools.length; i += batchSize) {
+    if (context?.getRemainingTimeInMillis?.() < minRemainingMs) {
+      console.log(`running out of time, stopping after ${i} pools`);
+      break;
+    }
+
+    const results = await Promise.allSettled(
+      pools.slice(i, i + batchSize).map((p) => getHolderStats(p))
+    );
+    results.forEach((r, j) => {
+      if (r.status === 'fulfilled') {
+        payload.push({ ...r.value, timestamp });
+      } else {
+        console.log(pools[i + j].configID, r.reason?.message ?? r.reason);
+      }
+    });
+    if ((i + batchSize) % insertEvery === 0) await store();
+  }
+  await store();
+
+  console.log('nb of holder rows', nbRows);
+};
+
+const getHolderStats = async (pool) => {
+  const [chain, blockchain] = chains[pool.chain];
+
+  const [countResult, holdersResult, totalSupply, decimals] =
+    await Promise.all([
+      ankrCall('ankr_getTokenHoldersCount', {
+        blockchain,
+        contractAddress: pool.token,
+        pageSize: 1,
+      }),
+      // holders are returned sorted by balance (desc), first page == top holders
+      ankrCall('ankr_getTokenHolders', {
+        blockchain,
+        contractAddress: pool.token,
+        pageSize: 10,
+      }),
+      sdk.api.abi.call({ target: pool.token, abi: 'erc20:totalSupply', chain }),
+      sdk.api.abi.call({ target: pool.token, abi: 'erc20:decimals', chain }),
+    ]);
+
+  const holderCount =
+    countResult.latestHoldersCount ??
+    countResult.holderCountHistory?.[0]?.holderCount ??
+    null;
+  const supply = Number(totalSupply.output) / 10 ** Number(decimals.output);
+
+  const top10Holders = (holdersResult.holders ?? [])
+    .map((h) => ({
+      address: h.holderAddress.toLowerCase(),
+      balance: Number(h.balance),
+    }))
+    .sort((a, b) => b.balance - a.balance)
+    .slice(0, 10)
+    .map((h) => ({
+      ...h,
+      pct: supply > 0 ? (h.balance / supply) * 100 : null,
+    }));
+
+  const top10Pct =
+    supply > 0
+      ? (top10Holders.reduce((acc, h) => acc + h.balance, 0) / supply) * 100
+      : null;
+
+  return {
+    configID: pool.configID,
+    holderCount,
+    avgPositionUsd: holderCount > 0 ? pool.tvlUsd / holderCount : null,
+    top10Pct: Number.isFinite(top10Pct) ? Math.min(top10Pct, 100) : null,
+    top10Holders,
+  };
+};
@@ -1,22 +1,102 @@
 const { getStaleProjects } = require('../queries/monitor');
-const { sendMessage } = require('../utils/discordWebhook');
+const {
+  getOpenStaleProjects,
+  upsertStaleProjects,
+  resolveStaleProjects,
+} = require('../queries/staleProject');
+const { notify } = require('../utils/notifier');
+
+// escalation tiers, by hours since the project's last update; an alert is sent
+// whenever a project reaches a higher tier
+const tiers = [
+  { tier: 1, hours: 6, alertType: 'stale_project' },
+  { tier: 2, hours: 24, alertType: 'stale_project_escalated' },
+  { tier: 3, hours: 72, alertType: 'stale_project_escalated' },
+];
+// unacknowledged projects are re-announced once a day
+const REMINDER_HOURS = 24;
+// pools of projects stale for longer than this are hidden from /pools
+const HIDE_HOURS = Number(process.env.STALE_HIDE_HOURS ?? 48);
+
+const HOUR = 1000 * 60 * 60;
 
 module.exports.handler = async () => {
   await main();
 };
 
 const main = async () => {
-  const stale = await getStaleProjects();
-
-  if (stale.length) {
-    const message = stale
-      .map(
-        (p) =>
-          `${p.project}: ${p.stale_since.days ?? 0} day(s) ${
-            p.stale_since.hours
-          }:${p.stale_since.minutes}:00 ago (${p.nb_effected_pools} pool(s))`
-      )
+  // close episodes of projects which are updating again
+  const resolved = await resolveStaleProjects();
+  if (resolved.length) {
+    const message = resolved
+      .map((p) => {
+        const since = p.first_seen_stale.toISOString();
+        const unhidden = p.hidden_at ? ', pools unhidden' : '';
+        return `${p.project}: updating again (stale since ${since})${unhidden}`;
+      })
       .join('\n');
-    await sendMessage(message, process.env.STALE_PROJECTS_WEBHOOK);
+    await notify('stale_project', message);
+  }
+
+  const stale = await getStaleProjects(tiers[0].hours);
+  if (!stale.length) return;
+
+  const open = Object.fromEntries(
+    (await getOpenStaleProjects()).map((p) => [p.project, p])
+  );
+  const now = new Date();
+
+  const payload = [];
+  const alerts = {};
+  for (const p of stale) {
+    const prev = open[p.project];
+    const staleHours = (now - p.last_update) / HOUR;
+    // the query selected the project by the db clock, so it's at least in the first tier
+    // even if the lambda clock is a bit behind
+    const { tier, alertType } =
+      tiers.filter((t) => staleHours >= t.hours).pop() ?? tiers[0];
+
+    const escalated = tier > (prev?.tier ?? 0);
+    const reminder =
+      !prev?.acknowledged_by &&
+      prev?.last_alert_at &&
+      now - prev.last_alert_at >= REMINDER_HOURS * HOUR;
+    const hide = !prev?.hidden && staleHours >= HIDE_HOURS;
+    const alerted = escalated || reminder || hide;
+
+    if (alerted) {
+      const details = [`${p.nb_effected_pools} pool(s)`, `tier ${tier}`];
+      if (prev?.acknowledged_by)
+        details.push(`acknowledged by ${prev.acknowledged_by}`);
+      if (hide) details.push('hidden from /pools');
+      (alerts[alertType] ??= []).push(
+        `${p.project}: ${p.stale_since.days ?? 0} day(s) ${
+          p.stale_since.hours
+        }:${p.stale_since.minutes}:00 ago (${details.join(', ')})`
+      );
+    }
+
+    payload.push({
+      project: p.project,
+      last_update: p.last_update,
+      nb_pools: p.nb_effected_pools,
+      last_seen_stale: now,
+      tier,
+      alert_count: (prev?.alert_count ?? 0) + (alerted ? 1 : 0),
+      last_alert_at: alerted ? now : prev?.last_alert_at ?? null,
+      hidden: prev?.hidden || hide,
+      hidden_reason: hide
+        ? `no new data for ${Math.floor(
+            staleHours
+          )}h (last update ${p.last_update.toISOString()}, threshold ${HIDE_HOURS}h)`
+        : prev?.hidden_reason ?? null,
+      hidden_at: hide ? now : prev?.hidden_at ?? null,
+    });
+  }
+
+  await upsertStaleProjects(payload);
+
+  for (const [alertType, lines] of Object.entries(alerts)) {
+    await notify(alertType, lines.join('\n'));
   }
 };
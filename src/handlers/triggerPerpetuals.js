@@ -1,42 +1,178 @@
-const binance = require('../perpetuals/binance');
-const bybit = require('../perpetuals/bybit');
-const dydx = require('../perpetuals/dydx');
-const okx = require('../perpetuals/okx');
-const synthetix = require('../perpetuals/synthetix');
-
+const venueList = require('../perpetuals/list');
 const { insertPerp } = require('../queries/perp');
+const {
+  insertPerpVenueRuns,
+  getSilentVenues,
+} = require('../queries/perpVenue');
+const { validatePerp } = require('../utils/perpValidation');
+const { notify, dedupe } = require('../utils/notifier');
+
+// max runtime of a venue module, unless it exports its own `timeout` (ms)
+const DEFAULT_TIMEOUT = 60e3;
+// alert when a venue hasn't returned valid data for this long
+const STALE_HOURS = Number(process.env.PERP_STALE_HOURS ?? 3);
 
 module.exports.handler = async () => {
   await main();
 };
 
-const main = async () => {
-  const perps = (
-    await Promise.allSettled([
-      binance.getPerpData(),
-      bybit.getPerpData(),
-      dydx.getPerpData(),
-      okx.getPerpData(),
-      synthetix.getPerpData(),
-    ])
-  )
-    .filter((c) => c.status === 'fulfilled')
-    .map((i) => i.value)
-    .flat()
-    .filter((m) => m.indexPrice !== null)
-    .map((m) => ({
+const withTimeout = (promise, ms) => {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const err = new Error(`timed out after ${ms / 1e3}s`);
+        err.timeout = true;
+        reject(err);
+      }, ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+};
+
+// runs a venue module (src/perpetuals/<venue>.js), never throws:
+// returns the venue's rows and the status of the run
+const runVenue = async (venue) => {
+  const startedAt = new Date();
+  const status = { venue, startedAt };
+  try {
+    const perp = require(`../perpetuals/${venue}`);
+    const data = await withTimeout(
+      perp.getPerpData(),
+      perp.timeout ?? DEFAULT_TIMEOUT
+    );
+    status.status = 'success';
+    status.rows = data.length;
+    // modules can override their default funding interval per market
+    status.data = data.map((m) => ({
+      fundingIntervalHours: perp.fundingIntervalHours,
       ...m,
-      timestamp: new Date(Date.now()),
-      market: m.market.toUpperCase(),
-      baseAsset: m.baseAsset.toUpperCase(),
-      fundingRate: +m.fundingRate.toFixed(10),
-      fundingRatePrevious: +m.fundingRatePrevious.toFixed(10),
-      fundingTimePrevious: Number(m.fundingTimePrevious),
-      indexPrice: +m.indexPrice.toFixed(5),
-      openInterest: Math.round(m.openInterest),
-    }))
-    .filter((m) => m.indexPrice >= 0);
-
-  const r = await insertPerp(perps);
-  console.log(r);
+    }));
+  } catch (err) {
+    status.status = err.timeout ? 'timeout' : 'error';
+    status.error = err.message ?? String(err);
+    status.rows = 0;
+    status.data = [];
+  }
+  status.finishedAt = new Date();
+  status.durationMs = status.finishedAt - startedAt;
+  return status;
+};
+
+const normalise = (m, timestamp) => ({
+  ...m,
+  timestamp,
+  market: m.market?.toUpperCase(),
+  baseAsset: m.baseAsset?.toUpperCase(),
+  fundingRate: +Number(m.fundingRate).toFixed(10),
+  fundingRatePrevious: +Number(m.fundingRatePrevious).toFixed(10),
+  fundingTimePrevious: Number(m.fundingTimePrevious),
+  indexPrice: +Number(m.indexPrice).toFixed(5),
+  openInterest: Math.round(m.openInterest),
+  fundingIntervalHours: Number(m.fundingIntervalHours),
+});
+
+const recordRuns = async (runs) => {
+  try {
+    await insertPerpVenueRuns(
+      runs.map((r) => ({
+        venue: r.venue,
+        started_at: r.startedAt,
+        finished_at: r.finishedAt,
+        duration_ms: r.durationMs,
+        status: r.status,
+        error: r.error ?? null,
+        rows_returned: r.rows,
+        rows_dropped: Object.keys(r.dropped).length ? r.dropped : null,
+        rows_inserted: r.inserted,
+      }))
+    );
+  } catch (err) {
+    console.log('failed to record perp venue runs');
+    console.log(err);
+  }
+};
+
+// alerts about venues which haven't returned (valid) data for STALE_HOURS, once a day per venue
+const alertSilentVenues = async () => {
+  try {
+    const silent = await getSilentVenues(venueList, STALE_HOURS);
+    const venues = await dedupe(
+      'perp_venue_stale',
+      silent.map((v) => v.venue)
+    );
+    if (!venues.length) return;
+
+    const message = silent
+      .filter((v) => venues.includes(v.venue))
+      .map(
+        (v) =>
+          `${v.venue}: no data since ${
+            v.last_data_at?.toISOString() ?? 'its first run'
+          } (last run: ${v.last_status}${
+            v.last_error ? `, ${v.last_error}` : ''
+          })`
+      )
+      .join('\n');
+    await notify('perp_venue_stale', message);
+  } catch (err) {
+    console.log('perp venue alert failed', err);
+  }
+};
+
+const main = async () => {
+  const runs = await Promise.all(venueList.map(runVenue));
+
+  const timestamp = new Date();
+  const perps = [];
+  for (const run of runs) {
+    run.dropped = {};
+    run.inserted = 0;
+    for (const m of run.data) {
+      const row = normalise(m, timestamp);
+      const reason = validatePerp(row);
+      if (reason) {
+        run.dropped[reason] = (run.dropped[reason] ?? 0) + 1;
+        continue;
+      }
+      perps.push(row);
+      run.inserted += 1;
+    }
+  }
+
+  for (const { venue, status, rows, dropped, durationMs, error } of runs) {
+    const nbDropped = Object.values(dropped).reduce((a, b) => a + b, 0);
+    console.log(
+      `${venue}: ${status}, ${rows} rows (${nbDropped} invalid${
+        nbDropped ? ` ${JSON.stringify(dropped)}` : ''
+      }) in ${durationMs}ms${error ? ` (${error})` : ''}`
+    );
+  }
+  const failed = runs.filter((r) => r.status !== 'success');
+  if (failed.length)
+    console.log(
+      `failed venues: ${failed
+        .map((r) => `${r.venue} (${r.status})`)
+        .join(', ')}`
+    );
+
+  // a single insert: if it fails, none of the venues' rows were stored
+  let insertError = null;
+  try {
+    if (perps.length) console.log(await insertPerp(perps));
+  } catch (err) {
+    insertError = err;
+    for (const run of runs) {
+      run.inserted = 0;
+      if (run.status === 'success') {
+        run.status = 'error';
+        run.error = `insert failed: ${err.message}`;
+      }
+    }
+  }
+
+  await recordRuns(runs);
+  await alertSilentVenues();
+
+  if (insertError) throw insertError;
 };
@@ -0,0 +1,96 @@
+const utils = require('../utils/s3');
+const { getYieldAt } = require('../queries/yield');
+const {
+  upsertPredictionPerformance,
+} = require('../queries/predictionPerformance');
+
+// the apy runway model predicts whether a pool's apy holds up over the next 4 weeks
+const HORIZON_DAYS = 28;
+// realised as Down if the apy fell by more than 20% over the horizon
+const DOWN_THRESHOLD = 0.2;
+const DAY = 1000 * 60 * 60 * 24;
+
+module.exports.handler = async (event, context) => {
+  await main(event?.date);
+};
+
+// evaluates the predictions stored by the enrichment handler HORIZON_DAYS ago
+// (or those of `date`, eg for backfilling: { "date": "2024-01-31" })
+const main = async (date) => {
+  // +1: the file of day D is written at 23:00, so its horizon ends at D+28 23:00
+  const day = date
+    ? new Date(date)
+    : new Date(Date.now() - (HORIZON_DAYS + 1) * DAY);
+  const predictionTimestamp = `${day.toISOString().slice(0, 10)}T23:00:00.000Z`;
+  const target = new Date(
+    new Date(predictionTimestamp).getTime() + HORIZON_DAYS * DAY
+  );
+  if (target > new Date()) {
+    console.log(`${predictionTimestamp}: horizon not reached yet`);
+    return;
+  }
+
+  let pools;
+  try {
+    pools = await utils.readFromS3(
+      process.env.BUCKET_DATA,
+      `predictions-hourly/dataEnriched_${predictionTimestamp}.json`
+    );
+  } catch (err) {
+    console.log(`no predictions found for ${predictionTimestamp}`, err.message);
+    return;
+  }
+  pools = pools.filter((p) => p.predictions?.predictedClass && p.apy > 0);
+
+  // realised apy at the end of the horizon (pool = configID in dataEnriched)
+  const realised = {};
+  const batchSize = 1000;
+  for (let i = 0; i < pools.length; i += batchSize) {
+    const batch = pools.slice(i, i + batchSize).map((p) => p.pool);
+    for (const r of await getYieldAt(batch, target)) {
+      realised[r.configID] = r.apy;
+    }
+  }
+
+  const groups = {};
+  for (const p of pools) {
+    const apy = realised[p.pool];
+    // pools without data at the end of the horizon (delisted, stale) aren't evaluated
+    if (apy === undefined) continue;
+
+    const realisedClass =
+      apy < p.apy * (1 - DOWN_THRESHOLD) ? 'Down' : 'Stable/Up';
+    const hit = p.predictions.predictedClass === realisedClass;
+    const keys = [
+      ['all', 'all'],
+      ['model', p.predictions.model ?? 'unknown'],
+      ['bin', String(p.predictions.binnedConfidence ?? 'none')],
+      ['project', p.project],
+      ['chain', p.chain],
+    ];
+    for (const [group_type, group_value] of keys) {
+      const g = (groups[`${group_type}:${group_value}`] ??= {
+        prediction_timestamp: predictionTimestamp,
+        horizon_days: HORIZON_DAYS,
+        group_type,
+        group_value,
+        nb_predictions: 0,
+        nb_hits: 0,
+        sum_probability: 0,
+        nb_down: 0,
+      });
+      g.nb_predictions += 1;
+      g.nb_hits += hit ? 1 : 0;
+      g.sum_probability += (p.predictions.predictedProbability ?? 0) / 100;
+      g.nb_down += realisedClass === 'Down' ? 1 : 0;
+    }
+  }
+
+  const payload = Object.values(groups);
+  console.log(
+    `${predictionTimestamp}: ${groups['all:all']?.nb_predictions ?? 0} of ${
+      pools.length
+    } predictions evaluated`
+  );
+  if (payload.length) await upsertPredictionPerformance(payload);
+};
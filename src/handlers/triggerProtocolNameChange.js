@@ -1,5 +1,5 @@
 const axios = require('axios');
-const { sendMessage } = require('../utils/discordWebhook');
+const { notify } = require('../utils/notifier');
 
 module.exports.handler = async () => {
   await main();
@@ -20,9 +20,8 @@ const main = async () => {
   }
 
   if (noMatch.length) {
-    await sendMessage(
-      `Check /protocols slug for ${noMatch}`,
-      process.env.STALE_PROJECTS_WEBHOOK
-    );
+    await notify('protocol_slug', `Check /protocols slug for ${noMatch}`, {
+      dedupeKey: `protocol_slug:${noMatch.sort()}`,
+    });
   }
 };
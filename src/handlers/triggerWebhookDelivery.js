@@ -0,0 +1,38 @@
+const { claimDueDeliveries, updateDelivery } = require('../queries/webhook');
+const { deliver } = require('../utils/webhooks');
+
+module.exports.handler = async (event, context) => {
+  await main();
+};
+
+// sends new and retries failed webhook deliveries
+// (also called at the end of the enrichment handler so alerts go out right away)
+const main = async () => {
+  const batchSize = 500;
+  const concurrency = 20;
+  // longer than the lambda timeouts (this one and the enrichment's), so a claim only
+  // expires once the run which made it is gone
+  const lockMinutes = 16;
+
+  const due = await claimDueDeliveries(batchSize, lockMinutes);
+  console.log('nb of due webhook deliveries', due.length);
+
+  const results = [];
+  for (let i = 0; i < due.length; i += concurrency) {
+    const batch = await Promise.all(
+      due.slice(i, i + concurrency).map((d) => deliver(d))
+    );
+    // stored right away, so a timeout later on doesn't resend this batch
+    for (const r of batch) await updateDelivery(r);
+    results.push(...batch);
+  }
+
+  const count = (status) => results.filter((r) => r.status === status).length;
+  console.log(
+    `delivered: ${count('delivered')}, retrying: ${count(
+      'pending'
+    )}, failed: ${count('failed')}`
+  );
+};
+
+module.exports.deliverWebhooks = main;
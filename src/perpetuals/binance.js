@@ -2,6 +2,9 @@ const axios = require('axios');
 
 const api = 'https://fapi.binance.com/fapi/v1';
 
+// default funding interval, some markets settle every 4h or 1h (see fundingInfo)
+exports.fundingIntervalHours = 8;
+
 exports.getPerpData = async () => {
   let fr = (await axios.get(`${api}/premiumIndex`)).data;
   // remove futures
@@ -15,6 +18,9 @@ exports.getPerpData = async () => {
   const previousFR = (await axios.get(`${api}/fundingRate?limit=${fr.length}`))
     .data;
 
+  // only lists markets with a non default interval
+  const fundingInfo = (await axios.get(`${api}/fundingInfo`)).data;
+
   return oi.map((m) => {
     const frM = fr.find((i) => i.symbol === m.symbol);
     const frP = previousFR.find((i) => i.symbol === m.symbol);
@@ -28,6 +34,9 @@ exports.getPerpData = async () => {
       fundingTimePrevious: frP?.fundingTime,
       openInterest: Number(m.openInterest),
       indexPrice: Number(frM?.indexPrice),
+      fundingIntervalHours:
+        fundingInfo.find((i) => i.symbol === m.symbol)?.fundingIntervalHours ??
+        exports.fundingIntervalHours,
     };
   });
 };
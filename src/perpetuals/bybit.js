@@ -2,6 +2,8 @@ const axios = require('axios');
 
 const api = 'https://api.bybit.com';
 
+exports.fundingIntervalHours = 8;
+
 exports.getPerpData = async () => {
   const bybit = (
     await axios.get(`${api}/v2/public/tickers`)
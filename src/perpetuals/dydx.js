@@ -1,32 +1,36 @@
 const axios = require('axios');
 
-const api = 'https://api.dydx.exchange/v3';
+// dYdX v4 indexer (the v3 api has been retired), rows keep the dYdX marketplace
+// so a market's history continues across the switch
+const api = 'https://indexer.dydx.trade/v4';
+
+exports.fundingIntervalHours = 1;
 
 exports.getPerpData = async () => {
-  const dydx = Object.values((await axios.get(`${api}/markets`)).data.markets);
+  const dydx = Object.values(
+    (await axios.get(`${api}/perpetualMarkets`)).data.markets
+  ).filter((p) => p.status === 'ACTIVE');
 
   const previousFRs = (
     await Promise.all(
-      dydx.map((p) =>
-        axios.get(`${api}/historical-funding/${p.market}?limit=1`)
-      )
+      dydx.map((p) => axios.get(`${api}/historicalFunding/${p.ticker}?limit=1`))
     )
   )
     .map((p) => p.data.historicalFunding)
     .flat();
 
   return dydx.map((p) => {
-    const frP = previousFRs.find((i) => i.market === p.market);
+    const frP = previousFRs.find((i) => i.ticker === p.ticker);
 
     return {
       marketplace: 'dYdX',
-      market: p.market,
-      baseAsset: p.baseAsset,
+      market: p.ticker,
+      baseAsset: p.ticker.split('-')[0],
       fundingRate: Number(p.nextFundingRate),
       fundingRatePrevious: Number(frP?.rate),
       fundingTimePrevious: new Date(frP?.effectiveAt).getTime(),
       openInterest: Number(p.openInterest),
-      indexPrice: Number(p.indexPrice),
+      indexPrice: Number(p.oraclePrice),
     };
   });
 };
@@ -0,0 +1,58 @@
+const axios = require('axios');
+
+// funding accrues continuously (per second), stored as an hourly rate
+exports.fundingIntervalHours = 1;
+
+const chains = {
+  arbitrum: 'https://arbitrum-api.gmxinfra.io',
+  avalanche: 'https://avalanche-api.gmxinfra.io',
+};
+
+// the api's rates are annualised and its usd values use 30 decimals
+const PRECISION = 1e30;
+const HOURS_PER_YEAR = 24 * 365;
+
+exports.getPerpData = async () => {
+  const data = await Promise.all(
+    Object.entries(chains).map(async ([chain, api]) => {
+      const markets = (await axios.get(`${api}/markets/info`)).data.markets;
+      const tokens = (await axios.get(`${api}/tokens`)).data.tokens;
+      const prices = (await axios.get(`${api}/prices/tickers`)).data;
+
+      // one market per index token and collateral pool, eg `ETH/USD [WETH-USDC]`
+      // (swap only markets have no index token)
+      return markets
+        .filter((m) => m.isListed && m.name.includes('/'))
+        .map((m) => {
+          const token = tokens.find(
+            (t) => t.address.toLowerCase() === m.indexToken.toLowerCase()
+          );
+          const price = prices.find(
+            (p) => p.tokenAddress.toLowerCase() === m.indexToken.toLowerCase()
+          );
+          // positive when longs pay shorts, as for the other venues
+          const fundingRate =
+            -Number(m.fundingRateLong) / PRECISION / HOURS_PER_YEAR;
+          const now = Date.now();
+
+          return {
+            marketplace: `GMX-v2-${chain}`,
+            market: m.name,
+            baseAsset: m.name.split('/')[0],
+            fundingRate,
+            // there are no funding periods, the current rate is the one of the past hour
+            fundingRatePrevious: fundingRate,
+            fundingTimePrevious: now - (now % (60 * 60 * 1000)),
+            openInterest:
+              (Number(m.openInterestLong) + Number(m.openInterestShort)) /
+              PRECISION,
+            indexPrice:
+              (Number(price?.minPrice) + Number(price?.maxPrice)) /
+              2 /
+              10 ** (30 - token?.decimals),
+          };
+        });
+    })
+  );
+  return data.flat();
+};
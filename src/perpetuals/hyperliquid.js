@@ -0,0 +1,55 @@
+const axios = require('axios');
+
+const api = 'https://api.hyperliquid.xyz/info';
+
+exports.fundingIntervalHours = 1;
+// funding history is fetched per market (rate limited)
+exports.timeout = 120e3;
+
+// only markets with at least this open interest (usd) are covered, which keeps the
+// nb of funding history requests within the api's rate limit
+const minOpenInterestUsd = 1e6;
+const batchSize = 10;
+
+exports.getPerpData = async () => {
+  const [meta, ctxs] = (await axios.post(api, { type: 'metaAndAssetCtxs' }))
+    .data;
+
+  const markets = meta.universe
+    .map((m, i) => ({ ...m, ...ctxs[i] }))
+    .filter(
+      (m) =>
+        !m.isDelisted &&
+        Number(m.openInterest) * Number(m.oraclePx) >= minOpenInterestUsd
+    );
+
+  // last settled (hourly) funding of each market
+  const startTime = Date.now() - 2 * 60 * 60 * 1000;
+  const previousFRs = {};
+  for (let i = 0; i < markets.length; i += batchSize) {
+    const batch = markets.slice(i, i + batchSize);
+    const history = await Promise.all(
+      batch.map((m) =>
+        axios.post(api, { type: 'fundingHistory', coin: m.name, startTime })
+      )
+    );
+    batch.forEach((m, j) => {
+      previousFRs[m.name] = history[j].data.at(-1);
+    });
+  }
+
+  return markets.map((m) => {
+    const frP = previousFRs[m.name];
+
+    return {
+      marketplace: 'Hyperliquid',
+      market: `${m.name}-USD`,
+      baseAsset: m.name,
+      fundingRate: Number(m.funding),
+      fundingRatePrevious: Number(frP?.fundingRate),
+      fundingTimePrevious: frP?.time,
+      openInterest: Number(m.openInterest),
+      indexPrice: Number(m.oraclePx),
+    };
+  });
+};
@@ -2,6 +2,9 @@ const axios = require('axios');
 
 const api = 'https://www.okx.com/api/v5';
 
+// default funding interval, the actual one is derived from the next funding time
+exports.fundingIntervalHours = 8;
+
 exports.getPerpData = async () => {
   const okxOI = (
     await axios.get(`${api}/public/open-interest?instType=SWAP`)
@@ -71,6 +74,9 @@ exports.getPerpData = async () => {
       fundingRate: Number(p.fundingRate),
       fundingRatePrevious: Number(frP?.fundingRate),
       fundingTimePrevious: Number(frP?.fundingTime),
+      fundingIntervalHours:
+        (Number(p.nextFundingTime) - Number(p.fundingTime)) /
+          (60 * 60 * 1000) || exports.fundingIntervalHours,
       openInterest: Number(okxOI.find((i) => i.instId === p.instId)?.oiCcy),
       indexPrice: Number(
         indexPrices.find((i) => i.instId === p.instId.replace('-SWAP', ''))
@@ -28,6 +28,9 @@ const q = gql`
     }
   }
 `
+// funding accrues continuously, the (24h) funding rate is stored per 8h (see / 3 below)
+exports.fundingIntervalHours = 8;
+
 exports.getPerpData = async () => {
     const PerpsV2MarketData = new ethers.Contract(
         "0x58e6227510F83d3F45B339F2f7A05a699fDEE6D4",
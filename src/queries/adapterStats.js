@@ -1,6 +1,12 @@
+const AppError = require('../utils/appError');
 const { pgp, connect } = require('../utils/dbConnection');
 
 const tableName = 'adapter_stats';
+const runTableName = 'adapter_run';
+const dropTableName = 'adapter_run_drop';
+
+// detail rows of dropped pools are kept for this many days
+const dropRetentionDays = 7;
 
 const upsertAdapterStats = async (payload) => {
   const conn = await connect();
@@ -21,6 +27,124 @@ const upsertAdapterStats = async (payload) => {
   return conn.result(query);
 };
 
+// append a run to the run log, returns the new adapter_run_id
+const insertAdapterRun = async (payload) => {
+  const conn = await connect();
+
+  const columns = [
+    'adapter',
+    'started_at',
+    'finished_at',
+    'duration_ms',
+    'status',
+    { name: 'error', def: null },
+    { name: 'pools_returned', def: null },
+    { name: 'pools_dropped', def: null, mod: ':json' },
+    { name: 'pools_inserted', def: null },
+  ];
+  const cs = new pgp.helpers.ColumnSet(columns, { table: runTableName });
+  const query = pgp.helpers.insert(payload, cs) + ' RETURNING adapter_run_id';
+
+  return (await conn.one(query)).adapter_run_id;
+};
+
+// store the dropped pools of a run and prune the adapter's old detail rows
+const insertAdapterRunDrops = async (adapterRunId, adapter, drops) => {
+  const conn = await connect();
+
+  const columns = ['adapter_run_id', 'pool', 'stage', 'reason'];
+  const cs = new pgp.helpers.ColumnSet(columns, { table: dropTableName });
+  const insertQ = pgp.helpers.insert(
+    drops.map((d) => ({ ...d, adapter_run_id: adapterRunId })),
+    cs
+  );
+
+  const pruneQ = pgp.as.format(
+    `
+    DELETE FROM
+        $<dropTable:name>
+    WHERE
+        adapter_run_id IN (
+            SELECT
+                adapter_run_id
+            FROM
+                $<runTable:name>
+            WHERE
+                adapter = $<adapter>
+                AND started_at < NOW() - INTERVAL '$<age> DAY'
+        )
+    `,
+    {
+      dropTable: dropTableName,
+      runTable: runTableName,
+      adapter,
+      age: dropRetentionDays,
+    }
+  );
+
+  return conn.tx(async (t) => [
+    await t.result(insertQ),
+    await t.result(pruneQ),
+  ]);
+};
+
+// the run which produced each (adapter, yield timestamp) pair, ie the adapter's last run
+// started before the timestamp, plus the start of the adapter's latest successful run
+const getAdapterRunProvenance = async (adapters, timestamps) => {
+  const conn = await connect();
+
+  const query = `
+    SELECT
+        t.adapter,
+        t.timestamp,
+        r.adapter_run_id,
+        l.started_at AS last_success_at
+    FROM
+        unnest($<adapters>::text[], $<timestamps>::timestamptz[]) AS t(adapter, timestamp)
+        LEFT JOIN LATERAL (
+            SELECT
+                adapter_run_id
+            FROM
+                $<runTable:name>
+            WHERE
+                adapter = t.adapter
+                AND started_at <= t.timestamp
+            ORDER BY
+                started_at DESC
+            LIMIT
+                1
+        ) AS r ON true
+        LEFT JOIN LATERAL (
+            SELECT
+                started_at
+            FROM
+                $<runTable:name>
+            WHERE
+                adapter = t.adapter
+                AND status = 'success'
+            ORDER BY
+                started_at DESC
+            LIMIT
+                1
+        ) AS l ON true
+    `;
+
+  const response = await conn.query(query, {
+    runTable: runTableName,
+    adapters,
+    timestamps,
+  });
+
+  if (!response) {
+    return new AppError(`Couldn't get ${runTableName} data`, 404);
+  }
+
+  return response;
+};
+
 module.exports = {
   upsertAdapterStats,
+  insertAdapterRun,
+  insertAdapterRunDrops,
+  getAdapterRunProvenance,
 };
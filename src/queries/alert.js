@@ -0,0 +1,44 @@
+const AppError = require('../utils/appError');
+const { connect } = require('../utils/dbConnection');
+
+const tableName = 'alert_sent';
+
+// claims the dedupe keys which weren't sent within the last n hours (or never);
+// returns the claimed keys, the others should be suppressed
+const claimAlertKeys = async (alertType, keys, hours) => {
+  const conn = await connect();
+
+  const query = `
+    INSERT INTO
+        $<table:name> (dedupe_key, alert_type, last_sent_at)
+    SELECT
+        k,
+        $<alertType>,
+        NOW()
+    FROM
+        unnest($<keys>::text[]) AS k
+    ON CONFLICT (dedupe_key) DO UPDATE
+    SET
+        alert_type = EXCLUDED.alert_type,
+        last_sent_at = EXCLUDED.last_sent_at
+    WHERE
+        $<table:name>.last_sent_at < NOW() - INTERVAL '$<hours> HOURS'
+    RETURNING
+        dedupe_key
+    `;
+
+  const response = await conn.query(query, {
+    table: tableName,
+    alertType,
+    keys,
+    hours,
+  });
+
+  if (!response) {
+    return new AppError(`Couldn't insert/update ${tableName} data`, 404);
+  }
+
+  return response.map((r) => r.dedupe_key);
+};
+
+module.exports = { claimAlertKeys };
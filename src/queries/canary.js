@@ -0,0 +1,191 @@
+const AppError = require('../utils/appError');
+const { pgp, connect } = require('../utils/dbConnection');
+
+const positionTable = 'canary_position';
+const snapshotTable = 'canary_snapshot';
+const returnTable = 'canary_return';
+
+// get all positions which are still deposited
+const getActivePositions = async () => {
+  const conn = await connect();
+
+  const query = `
+    SELECT
+        *
+    FROM
+        $<table:name>
+    WHERE
+        status = 'active'
+    `;
+
+  const response = await conn.query(query, { table: positionTable });
+
+  if (!response) {
+    return new AppError(`Couldn't get ${positionTable} data`, 404);
+  }
+
+  return response;
+};
+
+// get the latest snapshot of a position at or before a given timestamp
+// (used as the starting point of a return window)
+const getSnapshotAt = async (positionId, timestamp) => {
+  const conn = await connect();
+
+  const query = `
+    SELECT
+        *
+    FROM
+        $<table:name>
+    WHERE
+        position_id = $<positionId>
+        AND timestamp <= $<timestamp>
+    ORDER BY
+        timestamp DESC
+    LIMIT
+        1
+    `;
+
+  return conn.oneOrNone(query, {
+    table: snapshotTable,
+    positionId,
+    timestamp,
+  });
+};
+
+// get the average reported apy values of a pool for a given time range
+const getReportedApy = async (configID, from, to) => {
+  const conn = await connect();
+
+  const query = `
+    SELECT
+        avg(apy) AS apy,
+        avg("apyBase") AS "apyBase"
+    FROM
+        yield
+    WHERE
+        "configID" = $<configID>
+        AND timestamp >= $<from>
+        AND timestamp <= $<to>
+    `;
+
+  return conn.one(query, { configID, from, to });
+};
+
+// insert snapshot and update the position's health fields in one go
+const insertSnapshot = async (snapshot, health) => {
+  const conn = await connect();
+
+  const columns = [
+    'position_id',
+    'timestamp',
+    'share_balance',
+    'share_price',
+    'underlying_balance',
+    'position_value_usd',
+    'token_price_usd',
+    { name: 'on_chain_rate_apy', def: null },
+    { name: 'on_chain_rate_source', def: null },
+    {
+      name: 'rewards',
+      def: null,
+      mod: ':json',
+    },
+  ];
+  const cs = new pgp.helpers.ColumnSet(columns, { table: snapshotTable });
+  const snapshotQ = pgp.helpers.insert(snapshot, cs);
+
+  const positionQ = pgp.as.format(
+    `
+    UPDATE
+        $<table:name>
+    SET
+        latest_snapshot_at = $<timestamp>,
+        health_status = $<healthStatus>,
+        health_reason = $<healthReason>
+    WHERE
+        canary_position_id = $<positionId>
+    `,
+    {
+      table: positionTable,
+      timestamp: snapshot.timestamp,
+      healthStatus: health.status,
+      healthReason: health.reason,
+      positionId: snapshot.position_id,
+    }
+  );
+
+  return conn.tx(async (t) => [
+    await t.result(snapshotQ),
+    await t.result(positionQ),
+  ]);
+};
+
+// set the health fields only (eg when the on-chain read failed and we have no snapshot)
+const updatePositionHealth = async (positionId, health) => {
+  const conn = await connect();
+
+  const query = `
+    UPDATE
+        $<table:name>
+    SET
+        health_status = $<healthStatus>,
+        health_reason = $<healthReason>
+    WHERE
+        canary_position_id = $<positionId>
+    `;
+
+  return conn.result(query, {
+    table: positionTable,
+    healthStatus: health.status,
+    healthReason: health.reason,
+    positionId,
+  });
+};
+
+// multi row insert (update on conflict); one row per position and time_window
+const upsertReturns = async (payload) => {
+  const conn = await connect();
+
+  const columns = [
+    'position_id',
+    'configID',
+    'timestamp',
+    'time_window',
+    'days_elapsed',
+    { name: 'actual_base_roi', def: null },
+    { name: 'actual_reward_roi', def: null },
+    { name: 'actual_gross_roi', def: null },
+    { name: 'actual_base_apy', def: null },
+    { name: 'actual_reward_apy', def: null },
+    { name: 'actual_total_apy', def: null },
+    { name: 'net_roi', def: null },
+    { name: 'net_apy', def: null },
+    { name: 'deviation_total_pct', def: null },
+    { name: 'deviation_base_pct', def: null },
+    { name: 'deviation_vs_onchain', def: null },
+    { name: 'status', def: null },
+  ];
+  const cs = new pgp.helpers.ColumnSet(columns, { table: returnTable });
+  const query =
+    pgp.helpers.insert(payload, cs) +
+    ' ON CONFLICT(position_id, time_window) DO UPDATE SET ' +
+    cs.assignColumns({ from: 'EXCLUDED', skip: ['position_id', 'time_window'] });
+
+  const response = await conn.result(query);
+
+  if (!response) {
+    return new AppError(`Couldn't insert/update ${returnTable} data`, 404);
+  }
+
+  return response;
+};
+
+module.exports = {
+  getActivePositions,
+  getSnapshotAt,
+  getReportedApy,
+  insertSnapshot,
+  updatePositionHealth,
+  upsertReturns,
+};
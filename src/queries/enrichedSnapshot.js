@@ -0,0 +1,28 @@
+const AppError = require('../utils/appError');
+const { pgp, connect } = require('../utils/dbConnection');
+
+const tableName = 'enriched_snapshot';
+
+// add a snapshot to the index (a rerun within the same hour replaces it)
+const upsertEnrichedSnapshot = async (payload) => {
+  const conn = await connect();
+
+  const columns = ['timestamp', 'bucket', 'key', 'nb_pools'];
+  const cs = new pgp.helpers.ColumnSet(columns, { table: tableName });
+  const query =
+    pgp.helpers.insert(payload, cs) +
+    ' ON CONFLICT(timestamp) DO UPDATE SET ' +
+    cs.assignColumns({ from: 'EXCLUDED', skip: 'timestamp' });
+
+  const response = await conn.result(query);
+
+  if (!response) {
+    return new AppError(`Couldn't insert/update ${tableName} data`, 404);
+  }
+
+  return response;
+};
+
+module.exports = {
+  upsertEnrichedSnapshot,
+};
@@ -0,0 +1,91 @@
+const AppError = require('../utils/appError');
+const exclude = require('../utils/exclude');
+const { pgp, connect } = require('../utils/dbConnection');
+
+const tableName = 'holder_daily';
+
+// get pools with a receipt token and their latest tvl, largest first
+// (only pools which are shown on the UI, holder metrics of dust pools aren't useful)
+const getHolderPools = async (chains, limit) => {
+  const conn = await connect();
+
+  const query = `
+    SELECT
+        c.config_id AS "configID",
+        c.chain,
+        c.token,
+        y."tvlUsd"
+    FROM
+        config AS c
+        CROSS JOIN LATERAL (
+            SELECT
+                "tvlUsd"
+            FROM
+                yield
+            WHERE
+                "configID" = c.config_id
+                AND timestamp >= NOW() - INTERVAL '$<age> DAY'
+            ORDER BY
+                timestamp DESC
+            LIMIT
+                1
+        ) AS y
+    WHERE
+        c.token IS NOT NULL
+        AND c.chain IN ($<chains:csv>)
+        AND c.pool NOT IN ($<excludePools:csv>)
+        AND c.project NOT IN ($<excludeProjects:csv>)
+        AND y."tvlUsd" >= $<tvlLB>
+    ORDER BY
+        y."tvlUsd" DESC
+    LIMIT
+        $<limit>
+    `;
+
+  const response = await conn.query(query, {
+    chains,
+    limit,
+    age: exclude.boundaries.age,
+    tvlLB: exclude.boundaries.tvlUsdUI.lb,
+    excludePools: exclude.excludePools,
+    excludeProjects: exclude.excludeAdaptors,
+  });
+
+  if (!response) {
+    return new AppError(`Couldn't get ${tableName} pools`, 404);
+  }
+
+  return response;
+};
+
+// multi row insert (update on conflict, so a rerun on the same day overwrites)
+const insertHolder = async (payload) => {
+  const conn = await connect();
+
+  const columns = [
+    'configID',
+    'timestamp',
+    { name: 'holderCount', def: null },
+    { name: 'avgPositionUsd', def: null },
+    { name: 'top10Pct', def: null },
+    { name: 'top10Holders', def: null, mod: ':json' },
+  ];
+  const cs = new pgp.helpers.ColumnSet(columns, { table: tableName });
+  const query =
+    pgp.helpers.insert(payload, cs) +
+    ' ON CONFLICT("configID", timestamp) DO UPDATE SET ' +
+    cs.assignColumns({ from: 'EXCLUDED', skip: ['configID', 'timestamp'] });
+
+  const response = await conn.result(query);
+
+  if (!response) {
+    return new AppError(`Couldn't insert/update ${tableName} data`, 404);
+  }
+
+  return response;
+};
+
+module.exports = {
+  getHolderPools,
+  insertHolder,
+};
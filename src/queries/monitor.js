@@ -3,7 +3,8 @@ const exclude = require('../utils/exclude');
 const { pgp, connect } = require('../utils/dbConnection');
 
 // get list of stale projects which are still active
-const getStaleProjects = async () => {
+// (time (here hours) of min staleness: i don't want to log right away but only after n-consecutive failures)
+const getStaleProjects = async (minStaleHours = 6) => {
   const conn = await connect();
 
   const excludedAdaptors = await exclude.getExcludedAdaptors();
@@ -20,6 +21,7 @@ WITH base AS (
 )
 SELECT
     project,
+    max(updated_at) AS last_update,
     date_trunc('second', NOW() - max(updated_at)) AS stale_since,
     count(pool) AS nb_effected_pools
 FROM
@@ -37,9 +39,7 @@ ORDER BY
     age: exclude.boundaries.age,
     excludePools: exclude.excludePools,
     excludeProjects: [...excludedAdaptors],
-    // time (here hours) of min staleness
-    // (i don't want to log right away but only after n-consecutive failures)
-    minStaleHours: 6,
+    minStaleHours,
   });
 
   if (!response) {
@@ -19,6 +19,7 @@ const insertPerp = async (payload) => {
     'fundingTimePrevious',
     'openInterest',
     'indexPrice',
+    'fundingIntervalHours',
   ];
   const cs = new pgp.helpers.ColumnSet(columns, { table: tableName });
   const query = pgp.helpers.insert(payload, cs);
@@ -0,0 +1,94 @@
+const AppError = require('../utils/appError');
+const { pgp, connect } = require('../utils/dbConnection');
+
+const tableName = 'perp_venue_stats';
+const runTableName = 'perp_venue_run';
+
+// store the runs of a triggerPerpetuals invocation (one per venue)
+const insertPerpVenueRuns = async (payload) => {
+  const conn = await connect();
+
+  const statsCs = new pgp.helpers.ColumnSet(
+    [
+      'venue',
+      'last_run_at',
+      'last_duration_ms',
+      'last_status',
+      { name: 'last_error', def: null },
+      { name: 'last_data_at', def: null },
+    ],
+    { table: tableName }
+  );
+  // a run without data keeps the venue's previous last_data_at
+  const statsQ =
+    pgp.helpers.insert(
+      payload.map((r) => ({
+        venue: r.venue,
+        last_run_at: r.finished_at,
+        last_duration_ms: r.duration_ms,
+        last_status: r.status,
+        last_error: r.error,
+        last_data_at: r.rows_inserted > 0 ? r.finished_at : null,
+      })),
+      statsCs
+    ) +
+    ' ON CONFLICT(venue) DO UPDATE SET ' +
+    statsCs.assignColumns({
+      from: 'EXCLUDED',
+      skip: ['venue', 'last_data_at'],
+    }) +
+    `, last_data_at = COALESCE(EXCLUDED.last_data_at, ${tableName}.last_data_at)`;
+
+  const runCs = new pgp.helpers.ColumnSet(
+    [
+      'venue',
+      'started_at',
+      'finished_at',
+      'duration_ms',
+      'status',
+      { name: 'error', def: null },
+      'rows_returned',
+      { name: 'rows_dropped', def: null, mod: ':json' },
+      'rows_inserted',
+    ],
+    { table: runTableName }
+  );
+  const runQ = pgp.helpers.insert(payload, runCs);
+
+  return conn.tx(async (t) => [await t.result(statsQ), await t.result(runQ)]);
+};
+
+// venues which haven't inserted rows for at least `hours`
+// (never successful venues count from their first run)
+const getSilentVenues = async (venues, hours) => {
+  const conn = await connect();
+
+  const query = `
+    SELECT
+        venue,
+        last_data_at,
+        last_status,
+        last_error
+    FROM
+        $<table:name>
+    WHERE
+        venue IN ($<venues:csv>)
+        AND COALESCE(last_data_at, created_at) < NOW() - INTERVAL '$<hours> HOUR'
+    ORDER BY
+        venue
+    `;
+
+  const response = await conn.query(query, {
+    table: tableName,
+    venues,
+    hours,
+  });
+
+  if (!response) {
+    return new AppError(`Couldn't get ${tableName} data`, 404);
+  }
+
+  return response;
+};
+
+module.exports = { insertPerpVenueRuns, getSilentVenues };
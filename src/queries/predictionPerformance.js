@@ -0,0 +1,43 @@
+const AppError = require('../utils/appError');
+const { pgp, connect } = require('../utils/dbConnection');
+
+const tableName = 'prediction_performance';
+
+// store the evaluation of a predictions file (a rerun replaces it)
+const upsertPredictionPerformance = async (payload) => {
+  const conn = await connect();
+
+  const columns = [
+    'prediction_timestamp',
+    'horizon_days',
+    'group_type',
+    'group_value',
+    'nb_predictions',
+    'nb_hits',
+    'sum_probability',
+    'nb_down',
+  ];
+  const cs = new pgp.helpers.ColumnSet(columns, { table: tableName });
+  const query =
+    pgp.helpers.insert(payload, cs) +
+    ' ON CONFLICT(prediction_timestamp, horizon_days, group_type, group_value) DO UPDATE SET ' +
+    cs.assignColumns({
+      from: 'EXCLUDED',
+      skip: [
+        'prediction_timestamp',
+        'horizon_days',
+        'group_type',
+        'group_value',
+      ],
+    });
+
+  const response = await conn.result(query);
+
+  if (!response) {
+    return new AppError(`Couldn't insert/update ${tableName} data`, 404);
+  }
+
+  return response;
+};
+
+module.exports = { upsertPredictionPerformance };
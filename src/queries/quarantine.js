@@ -0,0 +1,93 @@
+const AppError = require('../utils/appError');
+const { pgp, connect } = require('../utils/dbConnection');
+
+const tableName = 'spike_quarantine';
+
+// store samples blocked by the spike check (a rerun for the same timestamp is a no-op)
+const insertQuarantine = async (payload) => {
+  const conn = await connect();
+
+  const columns = [
+    'configID',
+    'adapter',
+    'pool',
+    'timestamp',
+    'tvl_usd',
+    'apy',
+    'tvl_usd_prev',
+    'apy_prev',
+    'timestamp_prev',
+    'tvl_multiplier',
+    'apy_multiplier',
+    { name: 'sample', mod: ':json' },
+  ];
+  const cs = new pgp.helpers.ColumnSet(columns, { table: tableName });
+  const query =
+    pgp.helpers.insert(payload, cs) +
+    ' ON CONFLICT("configID", timestamp) DO NOTHING';
+
+  return conn.result(query);
+};
+
+// get all pending samples of an adapter
+const getPendingQuarantine = async (adapter) => {
+  const conn = await connect();
+
+  const query = `
+    SELECT
+        spike_quarantine_id,
+        "configID",
+        timestamp
+    FROM
+        $<table:name>
+    WHERE
+        adapter = $<adapter>
+        AND status = 'pending'
+    `;
+
+  const response = await conn.query(query, { table: tableName, adapter });
+
+  if (!response) {
+    return new AppError(`Couldn't get ${tableName} data`, 404);
+  }
+
+  return response;
+};
+
+// query which inserts pending samples into yield and marks them as released
+// (used once a spike persisted for long enough to be considered genuine), run in the
+// same transaction as the adapter's config/yield insert
+const buildReleaseQuarantineQuery = (ids) => {
+  const query = `
+    WITH released AS (
+        UPDATE
+            $<table:name>
+        SET
+            status = 'released',
+            resolved_at = NOW(),
+            resolved_by = 'auto'
+        WHERE
+            spike_quarantine_id IN ($<ids:csv>)
+            AND status = 'pending'
+        RETURNING
+            sample
+    )
+    INSERT INTO
+        yield
+    SELECT
+        (jsonb_populate_record(
+            NULL::yield,
+            sample || jsonb_build_object('yield_id', uuid_generate_v4())
+        )).*
+    FROM
+        released
+    `;
+
+  return pgp.as.format(query, { table: tableName, ids });
+};
+
+module.exports = {
+  insertQuarantine,
+  getPendingQuarantine,
+  buildReleaseQuarantineQuery,
+};
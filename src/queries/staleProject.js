@@ -0,0 +1,133 @@
+const AppError = require('../utils/appError');
+const { pgp, connect } = require('../utils/dbConnection');
+
+const tableName = 'stale_project';
+
+// get the open staleness episode of all currently stale projects
+const getOpenStaleProjects = async () => {
+  const conn = await connect();
+
+  const query = `
+    SELECT
+        *
+    FROM
+        $<table:name>
+    WHERE
+        resolved_at IS NULL
+    `;
+
+  const response = await conn.query(query, { table: tableName });
+
+  if (!response) {
+    return new AppError(`Couldn't get ${tableName} data`, 404);
+  }
+
+  return response;
+};
+
+// projects hidden from /pools
+const getHiddenProjects = async () => {
+  const conn = await connect();
+
+  const query = `
+    SELECT
+        project,
+        hidden_reason
+    FROM
+        $<table:name>
+    WHERE
+        resolved_at IS NULL
+        AND hidden = true
+    `;
+
+  const response = await conn.query(query, { table: tableName });
+
+  if (!response) {
+    return new AppError(`Couldn't get ${tableName} data`, 404);
+  }
+
+  return response;
+};
+
+// insert new episodes, update open ones (first_seen_stale and acknowledgement are kept)
+const upsertStaleProjects = async (payload) => {
+  const conn = await connect();
+
+  const columns = [
+    'project',
+    'last_update',
+    'nb_pools',
+    'last_seen_stale',
+    'tier',
+    'alert_count',
+    'last_alert_at',
+    'hidden',
+    'hidden_reason',
+    'hidden_at',
+  ];
+  const cs = new pgp.helpers.ColumnSet(columns, { table: tableName });
+  const query =
+    pgp.helpers.insert(payload, cs) +
+    ' ON CONFLICT(project) WHERE resolved_at IS NULL DO UPDATE SET ' +
+    cs.assignColumns({ from: 'EXCLUDED', skip: 'project' });
+
+  const response = await conn.result(query);
+
+  if (!response) {
+    return new AppError(`Couldn't insert/update ${tableName} data`, 404);
+  }
+
+  return response;
+};
+
+// close the episodes of projects which received new data since they went stale
+// (this also unhides their pools)
+const resolveStaleProjects = async () => {
+  const conn = await connect();
+
+  const query = `
+    WITH last_update AS (
+        SELECT
+            project,
+            max(updated_at) AS last_update
+        FROM
+            config
+        WHERE
+            project IN (
+                SELECT project FROM $<table:name> WHERE resolved_at IS NULL
+            )
+        GROUP BY
+            project
+    )
+    UPDATE
+        $<table:name> AS s
+    SET
+        resolved_at = NOW(),
+        hidden = false
+    FROM
+        last_update AS l
+    WHERE
+        s.project = l.project
+        AND s.resolved_at IS NULL
+        AND l.last_update > s.last_update
+    RETURNING
+        s.project,
+        s.first_seen_stale,
+        s.hidden_at
+    `;
+
+  const response = await conn.query(query, { table: tableName });
+
+  if (!response) {
+    return new AppError(`Couldn't update ${tableName} data`, 404);
+  }
+
+  return response;
+};
+
+module.exports = {
+  getOpenStaleProjects,
+  getHiddenProjects,
+  upsertStaleProjects,
+  resolveStaleProjects,
+};
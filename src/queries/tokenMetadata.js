@@ -0,0 +1,78 @@
+const AppError = require('../utils/appError');
+const { pgp, connect } = require('../utils/dbConnection');
+
+const tableName = 'token_metadata';
+
+// get cached metadata for a list of { chain, address } keys
+const getTokenMetadata = async (tokens) => {
+  if (!tokens.length) return [];
+  const conn = await connect();
+
+  const values = tokens
+    .map((t) => pgp.as.format('($<chain>, $<address>)', t))
+    .join(',');
+
+  const query = `
+    SELECT
+        m.chain,
+        m.address,
+        m.symbol,
+        m.name,
+        m.decimals,
+        m.last_attempt_at
+    FROM
+        $<table:name> AS m
+        JOIN (VALUES $<values:raw>) AS k (chain, address)
+            ON k.chain = m.chain AND k.address = m.address
+    `;
+
+  const response = await conn.query(query, { table: tableName, values });
+
+  if (!response) {
+    return new AppError(`Couldn't get ${tableName} data`, 404);
+  }
+
+  return response;
+};
+
+// multi row insert (update on conflict)
+// note: a failed lookup is stored with null symbol/decimals and last_attempt_at set,
+// so we don't retry the same token on every run
+const upsertTokenMetadata = async (payload) => {
+  if (!payload.length) return null;
+  const conn = await connect();
+
+  const columns = [
+    'chain',
+    'address',
+    { name: 'symbol', def: null },
+    { name: 'name', def: null },
+    { name: 'decimals', def: null },
+    'last_attempt_at',
+  ];
+  const cs = new pgp.helpers.ColumnSet(columns, { table: tableName });
+  const query =
+    pgp.helpers.insert(payload, cs) +
+    ' ON CONFLICT(chain, address) DO UPDATE SET ' +
+    // keep previously resolved values if a retry comes back empty
+    [
+      'symbol = COALESCE(EXCLUDED.symbol, token_metadata.symbol)',
+      'name = COALESCE(EXCLUDED.name, token_metadata.name)',
+      'decimals = COALESCE(EXCLUDED.decimals, token_metadata.decimals)',
+      'last_attempt_at = EXCLUDED.last_attempt_at',
+    ].join(', ');
+
+  const response = await conn.result(query);
+
+  if (!response) {
+    return new AppError(`Couldn't insert/update ${tableName} data`, 404);
+  }
+
+  return response;
+};
+
+module.exports = {
+  getTokenMetadata,
+  upsertTokenMetadata,
+  tableName,
+};
@@ -0,0 +1,194 @@
+const AppError = require('../utils/appError');
+const { pgp, connect } = require('../utils/dbConnection');
+
+const subscriptionTable = 'webhook_subscription';
+const stateTable = 'webhook_alert_state';
+const deliveryTable = 'webhook_delivery';
+
+// get all active subscriptions (evaluated after each enrichment run)
+const getActiveSubscriptions = async () => {
+  const conn = await connect();
+
+  const query = `
+    SELECT
+        webhook_subscription_id,
+        scope_type,
+        scope_value,
+        rule,
+        threshold
+    FROM
+        $<table:name>
+    WHERE
+        active = true
+    `;
+
+  const response = await conn.query(query, { table: subscriptionTable });
+
+  if (!response) {
+    return new AppError(`Couldn't get ${subscriptionTable} data`, 404);
+  }
+
+  return response;
+};
+
+// get the last evaluated state of the given subscriptions
+const getAlertStates = async (ids) => {
+  const conn = await connect();
+
+  const query = `
+    SELECT
+        webhook_subscription_id,
+        "configID",
+        state
+    FROM
+        $<table:name>
+    WHERE
+        webhook_subscription_id IN ($<ids:csv>)
+    `;
+
+  const response = await conn.query(query, { table: stateTable, ids });
+
+  if (!response) {
+    return new AppError(`Couldn't get ${stateTable} data`, 404);
+  }
+
+  return response;
+};
+
+const upsertAlertStates = async (payload) => {
+  const conn = await connect();
+
+  const columns = [
+    'webhook_subscription_id',
+    'configID',
+    'state',
+    { name: 'updated_at', init: () => new Date() },
+  ];
+  const cs = new pgp.helpers.ColumnSet(columns, { table: stateTable });
+  const query =
+    pgp.helpers.insert(payload, cs) +
+    ' ON CONFLICT(webhook_subscription_id, "configID") DO UPDATE SET ' +
+    cs.assignColumns({
+      from: 'EXCLUDED',
+      skip: ['webhook_subscription_id', 'configID'],
+    });
+
+  const response = await conn.result(query);
+
+  if (!response) {
+    return new AppError(`Couldn't insert/update ${stateTable} data`, 404);
+  }
+
+  return response;
+};
+
+const insertDeliveries = async (payload) => {
+  const conn = await connect();
+
+  const columns = [
+    'webhook_subscription_id',
+    { name: 'payload', mod: ':json' },
+  ];
+  const cs = new pgp.helpers.ColumnSet(columns, { table: deliveryTable });
+  const query = pgp.helpers.insert(payload, cs);
+
+  const response = await conn.result(query);
+
+  if (!response) {
+    return new AppError(`Couldn't insert ${deliveryTable} data`, 404);
+  }
+
+  return response;
+};
+
+// claims pending deliveries which are due (new ones and retries) and deliveries whose claim
+// expired, with the subscription's url and secret. claimed rows are skipped by concurrent
+// runs until `lockMinutes` have passed or their result is stored (updateDelivery)
+const claimDueDeliveries = async (limit, lockMinutes) => {
+  const conn = await connect();
+
+  const query = `
+    WITH due AS (
+        SELECT
+            d.webhook_delivery_id
+        FROM
+            $<deliveryTable:name> AS d
+            JOIN $<subscriptionTable:name> AS s USING (webhook_subscription_id)
+        WHERE
+            (
+                (d.status = 'pending' AND d.next_attempt_at <= NOW())
+                OR (d.status = 'sending' AND d.locked_until < NOW())
+            )
+            AND s.active = true
+        ORDER BY
+            d.next_attempt_at ASC
+        LIMIT
+            $<limit>
+        FOR UPDATE OF d SKIP LOCKED
+    )
+    UPDATE
+        $<deliveryTable:name> AS d
+    SET
+        status = 'sending',
+        locked_until = NOW() + INTERVAL '$<lockMinutes> MINUTE'
+    FROM
+        due,
+        $<subscriptionTable:name> AS s
+    WHERE
+        d.webhook_delivery_id = due.webhook_delivery_id
+        AND s.webhook_subscription_id = d.webhook_subscription_id
+    RETURNING
+        d.webhook_delivery_id,
+        d.webhook_subscription_id,
+        d.payload,
+        d.attempts,
+        s.url,
+        s.secret
+    `;
+
+  const response = await conn.query(query, {
+    deliveryTable,
+    subscriptionTable,
+    limit,
+    lockMinutes,
+  });
+
+  if (!response) {
+    return new AppError(`Couldn't get ${deliveryTable} data`, 404);
+  }
+
+  return response;
+};
+
+// store the result of a delivery attempt
+const updateDelivery = async (payload) => {
+  const conn = await connect();
+
+  const columns = [
+    '?webhook_delivery_id',
+    'status',
+    'attempts',
+    'next_attempt_at',
+    'response_status',
+    'last_error',
+    'delivered_at',
+    { name: 'locked_until', def: null },
+  ];
+  const cs = new pgp.helpers.ColumnSet(columns, { table: deliveryTable });
+  const query =
+    pgp.helpers.update(payload, cs) +
+    pgp.as.format(' WHERE webhook_delivery_id = $1', [
+      payload.webhook_delivery_id,
+    ]);
+
+  return conn.result(query);
+};
+
+module.exports = {
+  getActiveSubscriptions,
+  getAlertStates,
+  upsertAlertStates,
+  insertDeliveries,
+  claimDueDeliveries,
+  updateDelivery,
+};
@@ -197,12 +197,14 @@ const getYieldOffset = async (project, offset) => {
   const query = `
     SELECT
         DISTINCT ON ("configID") "configID",
-        apy
+        apy,
+        "tvlUsd"
     FROM
         (
             SELECT
                 "configID",
                 apy,
+                "tvlUsd",
                 abs(
                     extract (
                         epoch
@@ -328,6 +330,75 @@ const getYieldAvg30d = async () => {
   return responseObject;
 };
 
+// get full daily history (last sample per day) for a set of pools
+const getYieldHistoryDaily = async (configIDs) => {
+  const conn = await connect();
+
+  const query = `
+    SELECT
+        DISTINCT ON ("configID", timestamp :: date)
+        "configID",
+        timestamp,
+        "tvlUsd",
+        apy,
+        "apyBase",
+        "apyReward",
+        "il7d",
+        "apyBase7d",
+        "pricePerShare"
+    FROM
+        $<table:name>
+    WHERE
+        "configID" IN ($<configIDs:csv>)
+    ORDER BY
+        "configID",
+        timestamp :: date,
+        timestamp DESC
+  `;
+
+  const response = await conn.query(query, { configIDs, table: tableName });
+
+  if (!response) {
+    return new AppError(`Couldn't get ${tableName} history data`, 404);
+  }
+
+  return response;
+};
+
+// get the sample closest to `timestamp` (within +/- windowHours) for a set of pools
+const getYieldAt = async (configIDs, timestamp, windowHours = 12) => {
+  const conn = await connect();
+
+  const query = `
+    SELECT
+        DISTINCT ON ("configID") "configID",
+        timestamp,
+        apy
+    FROM
+        $<table:name>
+    WHERE
+        "configID" IN ($<configIDs:csv>)
+        AND timestamp >= $<timestamp>::timestamptz - INTERVAL '$<windowHours> HOURS'
+        AND timestamp <= $<timestamp>::timestamptz + INTERVAL '$<windowHours> HOURS'
+    ORDER BY
+        "configID",
+        abs(extract(epoch FROM timestamp - $<timestamp>::timestamptz))
+  `;
+
+  const response = await conn.query(query, {
+    configIDs,
+    timestamp,
+    windowHours,
+    table: tableName,
+  });
+
+  if (!response) {
+    return new AppError(`Couldn't get ${tableName} data`, 404);
+  }
+
+  return response;
+};
+
 // multi row insert query generator
 const buildInsertYieldQuery = (payload) => {
   // note: even though apyBase and apyReward are optional fields
@@ -368,4 +439,6 @@ module.exports = {
   getYieldLendBorrow,
   buildInsertYieldQuery,
   getYieldAvg30d,
+  getYieldHistoryDaily,
+  getYieldAt,
 };
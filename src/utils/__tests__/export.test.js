@@ -0,0 +1,87 @@
+const { getFormat, toCSV, getParquetType, parquetTypes } = require('../export');
+const poolsResponseColumns = require('../enrichedColumns');
+
+// minimal express request: query params and the accept header negotiation
+const request = (query, accepted) => ({
+  query,
+  accepts: (types) => types.find((t) => t === accepted) ?? false,
+});
+
+describe('getFormat', () => {
+  test('defaults to json', () => {
+    expect(getFormat(request({}))).toBe('json');
+  });
+
+  test('uses the accept header', () => {
+    expect(getFormat(request({}, 'text/csv'))).toBe('csv');
+    expect(getFormat(request({}, 'application/vnd.apache.parquet'))).toBe(
+      'parquet'
+    );
+  });
+
+  test('?format= takes precedence over the accept header', () => {
+    expect(getFormat(request({ format: 'parquet' }, 'text/csv'))).toBe(
+      'parquet'
+    );
+  });
+
+  test('returns null for an unknown format', () => {
+    expect(getFormat(request({ format: 'xml' }))).toBe(null);
+    expect(getFormat(request({ format: 'toString' }))).toBe(null);
+    expect(getFormat(request({ format: ['csv', 'csv'] }))).toBe(null);
+  });
+});
+
+describe('toCSV', () => {
+  test('writes a header and the columns in the given order', () => {
+    expect(
+      toCSV(
+        [
+          { a: 1, b: 'x' },
+          { b: 'y', a: 2 },
+        ],
+        ['b', 'a']
+      )
+    ).toBe('b,a\nx,1\ny,2\n');
+  });
+
+  test('writes missing values as empty cells', () => {
+    expect(toCSV([{ a: null }], ['a', 'b'])).toBe('a,b\n,\n');
+  });
+
+  test('quotes cells with commas, quotes and newlines', () => {
+    expect(
+      toCSV([{ a: 'x,y', b: 'say "hi"', c: 'l1\nl2' }], ['a', 'b', 'c'])
+    ).toBe('a,b,c\n"x,y","say ""hi""","l1\nl2"\n');
+  });
+
+  test('writes dates as iso strings and arrays/objects as json', () => {
+    expect(
+      toCSV(
+        [{ t: new Date(Date.UTC(2024, 0, 1)), tokens: ['0xa'], o: { k: 1 } }],
+        ['t', 'tokens', 'o']
+      )
+    ).toBe('t,tokens,o\n2024-01-01T00:00:00.000Z,"[""0xa""]","{""k"":1}"\n');
+  });
+
+  test('writes only the header for no rows', () => {
+    expect(toCSV([], ['a', 'b'])).toBe('a,b\n');
+  });
+});
+
+describe('getParquetType', () => {
+  test('every /pools column has a fixed type', () => {
+    expect(poolsResponseColumns.filter((c) => !parquetTypes[c])).toEqual([]);
+  });
+
+  test('types are per column, not per value', () => {
+    expect(getParquetType('tvlUsd')).toBe('DOUBLE');
+    expect(getParquetType('stablecoin')).toBe('BOOLEAN');
+    expect(getParquetType('timestamp')).toBe('TIMESTAMP');
+    expect(getParquetType('underlyingTokens')).toBe('STRING');
+  });
+
+  test('unknown columns are strings', () => {
+    expect(getParquetType('somethingElse')).toBe('STRING');
+  });
+});
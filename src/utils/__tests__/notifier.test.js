@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// no discord or db: sent messages and dedupe claims are recorded by the mocks
+jest.mock('../discordWebhook', () => ({ sendMessage: jest.fn() }));
+jest.mock('../../queries/alert', () => ({ claimAlertKeys: jest.fn() }));
+
+const env = process.env;
+let dir;
+let log;
+
+// the notifier caches its routes, so every test loads a fresh copy
+const load = (routes) => {
+  jest.resetModules();
+  process.env = { ...env, TVL_SPIKE_WEBHOOK: 'https://discord/tvl' };
+  delete process.env.STALE_PROJECTS_WEBHOOK;
+  if (routes !== undefined)
+    process.env.ALERT_ROUTES =
+      typeof routes === 'string' ? routes : JSON.stringify(routes);
+  else delete process.env.ALERT_ROUTES;
+  return {
+    ...require('../notifier'),
+    sendMessage: require('../discordWebhook').sendMessage,
+    claimAlertKeys: require('../../queries/alert').claimAlertKeys,
+  };
+};
+
+const readAlerts = (file) =>
+  fs.existsSync(file)
+    ? fs
+        .readFileSync(file, 'utf8')
+        .trim()
+        .split('\n')
+        .map((l) => JSON.parse(l))
+    : [];
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifier-'));
+  log = jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  process.env = env;
+  log.mockRestore();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('isConfigured', () => {
+  test('requires the target of each sink type', () => {
+    const { isConfigured } = load();
+    expect(isConfigured({ type: 'discord', url: 'https://x' })).toBe(true);
+    expect(isConfigured({ type: 'discord' })).toBe(false);
+    expect(isConfigured({ type: 'slack', url: '' })).toBe(false);
+    expect(isConfigured({ type: 'webhook', url: 'https://x' })).toBe(true);
+    expect(isConfigured({ type: 'email', to: 'ops@example.com' })).toBe(true);
+    expect(isConfigured({ type: 'email' })).toBe(false);
+    expect(isConfigured({ type: 'file', path: 'alerts.log' })).toBe(true);
+    expect(isConfigured({ type: 'file' })).toBe(false);
+    expect(isConfigured({ type: 'console' })).toBe(true);
+  });
+
+  test('skips unknown or missing sink types', () => {
+    const { isConfigured } = load();
+    expect(isConfigured({ type: 'pager', url: 'https://x' })).toBe(false);
+    expect(isConfigured(null)).toBe(false);
+  });
+});
+
+describe('notify routing', () => {
+  test('defaults to the discord webhooks of the env', async () => {
+    const { notify, sendMessage } = load();
+    await notify('tvl_spike', 'tvl spike');
+    expect(sendMessage).toHaveBeenCalledWith(
+      'tvl spike',
+      'https://discord/tvl'
+    );
+  });
+
+  test('routes by alert type and falls back to "*"', async () => {
+    const stale = path.join(dir, 'stale.log');
+    const other = path.join(dir, 'other.log');
+    const { notify, sendMessage } = load({
+      stale_project: [{ type: 'file', path: stale }],
+      '*': [{ type: 'file', path: other }],
+    });
+
+    await notify('stale_project', 'stale');
+    await notify('new_project', 'new');
+
+    expect(readAlerts(stale)).toMatchObject([
+      { type: 'stale_project', message: 'stale' },
+    ]);
+    expect(readAlerts(other)).toMatchObject([
+      { type: 'new_project', message: 'new' },
+    ]);
+    expect(sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('sends to every sink of a type, a failing sink does not affect the others', async () => {
+    const file = path.join(dir, 'alerts.log');
+    const { notify, sendMessage } = load({
+      api_health: [
+        { type: 'discord', url: 'https://discord/health' },
+        { type: 'file', path: file },
+      ],
+    });
+    sendMessage.mockRejectedValueOnce(new Error('discord down'));
+
+    await expect(notify('api_health', 'down')).resolves.toBeUndefined();
+    expect(sendMessage).toHaveBeenCalledWith('down', 'https://discord/health');
+    expect(readAlerts(file)).toMatchObject([{ message: 'down' }]);
+  });
+
+  test('logs to the console when no sink is configured', async () => {
+    const { notify } = load({ protocol_slug: [{ type: 'slack' }] });
+    await notify('protocol_slug', 'unrouted');
+    expect(log).toHaveBeenCalledWith('[alert protocol_slug]', 'unrouted');
+  });
+
+  test('uses the default routes when ALERT_ROUTES is invalid', async () => {
+    const { notify, sendMessage } = load('{"tvl_spike": {}}');
+    await notify('tvl_spike', 'tvl spike');
+    expect(sendMessage).toHaveBeenCalledWith(
+      'tvl spike',
+      'https://discord/tvl'
+    );
+  });
+
+  test('suppresses alerts whose dedupe key was already sent', async () => {
+    const file = path.join(dir, 'alerts.log');
+    const { notify, claimAlertKeys } = load({
+      '*': [{ type: 'file', path: file }],
+    });
+    claimAlertKeys.mockResolvedValueOnce(['a']).mockResolvedValueOnce([]);
+
+    await notify('new_project', 'first', { dedupeKey: 'a' });
+    await notify('new_project', 'second', { dedupeKey: 'a' });
+
+    expect(claimAlertKeys).toHaveBeenCalledWith('new_project', ['a'], 24);
+    expect(readAlerts(file).map((a) => a.message)).toEqual(['first']);
+  });
+
+  test('still sends when dedupe fails', async () => {
+    const file = path.join(dir, 'alerts.log');
+    const { notify, claimAlertKeys } = load({
+      '*': [{ type: 'file', path: file }],
+    });
+    claimAlertKeys.mockRejectedValueOnce(new Error('db down'));
+
+    await notify('new_project', 'sent', { dedupeKey: 'a', dedupeHours: 6 });
+
+    expect(claimAlertKeys).toHaveBeenCalledWith('new_project', ['a'], 6);
+    expect(readAlerts(file).map((a) => a.message)).toEqual(['sent']);
+  });
+});
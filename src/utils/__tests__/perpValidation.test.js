@@ -0,0 +1,60 @@
+const { validatePerp } = require('../perpValidation');
+
+const now = Date.UTC(2024, 0, 1);
+
+const perp = (overrides) => ({
+  market: 'BTC-USD',
+  baseAsset: 'BTC',
+  fundingIntervalHours: 8,
+  fundingRate: 0.0001,
+  fundingRatePrevious: -0.0001,
+  fundingTimePrevious: now - 60 * 60 * 1000,
+  openInterest: 1e9,
+  indexPrice: 42000,
+  ...overrides,
+});
+
+describe('validatePerp', () => {
+  test('accepts a valid row', () => {
+    expect(validatePerp(perp(), now)).toBe(null);
+  });
+
+  test('accepts funding times in seconds', () => {
+    expect(
+      validatePerp(perp({ fundingTimePrevious: now / 1000 - 3600 }), now)
+    ).toBe(null);
+  });
+
+  test.each([
+    [{ market: undefined }, 'missingMarket'],
+    [{ baseAsset: '' }, 'missingMarket'],
+    [{ fundingIntervalHours: 0 }, 'invalidFundingInterval'],
+    [{ fundingIntervalHours: NaN }, 'invalidFundingInterval'],
+    [{ fundingRate: NaN }, 'invalidFunding'],
+    [{ fundingRatePrevious: Infinity }, 'invalidFunding'],
+    // 10% per 8h, 1.25% per hour
+    [{ fundingRate: 0.1 }, 'implausibleFunding'],
+    [{ fundingRatePrevious: -0.1 }, 'implausibleFunding'],
+    [{ openInterest: 0 }, 'invalidOpenInterest'],
+    [{ openInterest: NaN }, 'invalidOpenInterest'],
+    [{ indexPrice: -1 }, 'invalidIndexPrice'],
+    [{ fundingTimePrevious: 0 }, 'invalidFundingTime'],
+    [{ fundingTimePrevious: now + 10 * 60 * 1000 }, 'invalidFundingTime'],
+  ])('rejects %j as %s', (overrides, reason) => {
+    expect(validatePerp(perp(overrides), now)).toBe(reason);
+  });
+
+  test('scales the funding cap with the funding interval', () => {
+    // 5% is plausible over 8h but not over 1h
+    expect(validatePerp(perp({ fundingRate: 0.05 }), now)).toBe(null);
+    expect(
+      validatePerp(perp({ fundingRate: 0.05, fundingIntervalHours: 1 }), now)
+    ).toBe('implausibleFunding');
+  });
+
+  test('tolerates a few minutes of clock skew', () => {
+    expect(
+      validatePerp(perp({ fundingTimePrevious: now + 60 * 1000 }), now)
+    ).toBe(null);
+  });
+});
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+
+const {
+  evaluateSubscriptions,
+  sign,
+  getBackoff,
+  isPrivateAddress,
+  getWebhookHost,
+} = require('../webhooks');
+
+const pool = (overrides) => ({
+  pool: 'a1b2c3d4-0000-4000-8000-000000000001',
+  project: 'aave-v3',
+  chain: 'Ethereum',
+  symbol: 'USDC',
+  apy: 5,
+  tvlUsd: 1e6,
+  tvlUsdPct1D: 0,
+  outlier: false,
+  underlyingTokens: ['0xA0b8'],
+  timestamp: new Date().toISOString(),
+  ...overrides,
+});
+
+const sub = (overrides) => ({
+  webhook_subscription_id: 'sub-1',
+  scope_type: 'configID',
+  scope_value: 'a1b2c3d4-0000-4000-8000-000000000001',
+  rule: 'apy_below',
+  threshold: 2,
+  ...overrides,
+});
+
+describe('evaluateSubscriptions', () => {
+  test('alerts when a condition becomes true and records the state', () => {
+    const { states, alerts } = evaluateSubscriptions(
+      [sub()],
+      [pool({ apy: 1 })],
+      []
+    );
+    expect(states).toEqual([
+      {
+        webhook_subscription_id: 'sub-1',
+        configID: pool().pool,
+        state: true,
+      },
+    ]);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].payload).toMatchObject({
+      event: 'apy_below',
+      subscriptionId: 'sub-1',
+      threshold: 2,
+      pool: { configID: pool().pool, apy: 1 },
+    });
+  });
+
+  test('does not alert again while the condition stays true', () => {
+    const { states, alerts } = evaluateSubscriptions(
+      [sub()],
+      [pool({ apy: 1 })],
+      [{ webhook_subscription_id: 'sub-1', configID: pool().pool, state: true }]
+    );
+    expect(states).toEqual([]);
+    expect(alerts).toEqual([]);
+  });
+
+  test('records a cleared condition without alerting', () => {
+    const { states, alerts } = evaluateSubscriptions(
+      [sub()],
+      [pool({ apy: 5 })],
+      [{ webhook_subscription_id: 'sub-1', configID: pool().pool, state: true }]
+    );
+    expect(states).toEqual([
+      {
+        webhook_subscription_id: 'sub-1',
+        configID: pool().pool,
+        state: false,
+      },
+    ]);
+    expect(alerts).toEqual([]);
+  });
+
+  test('uses the default threshold when none is set', () => {
+    const { alerts } = evaluateSubscriptions(
+      [sub({ rule: 'tvl_drop_pct', threshold: null })],
+      [pool({ tvlUsdPct1D: -25 })],
+      []
+    );
+    expect(alerts[0].payload.threshold).toBe(20);
+  });
+
+  test('matches project and (case insensitive) token scopes', () => {
+    const pools = [
+      pool({ apy: 1 }),
+      pool({ pool: 'other', project: 'compound-v3', apy: 1 }),
+    ];
+    const byProject = evaluateSubscriptions(
+      [sub({ scope_type: 'project', scope_value: 'compound-v3' })],
+      pools,
+      []
+    );
+    expect(byProject.alerts.map((a) => a.payload.pool.configID)).toEqual([
+      'other',
+    ]);
+
+    const byToken = evaluateSubscriptions(
+      [sub({ scope_type: 'token', scope_value: '0xa0b8' })],
+      pools,
+      []
+    );
+    expect(byToken.alerts).toHaveLength(2);
+  });
+
+  test('outlier_flip only records the first state and alerts on changes', () => {
+    const first = evaluateSubscriptions(
+      [sub({ rule: 'outlier_flip', threshold: null })],
+      [pool({ outlier: true })],
+      []
+    );
+    expect(first.states).toHaveLength(1);
+    expect(first.alerts).toEqual([]);
+
+    const flip = evaluateSubscriptions(
+      [sub({ rule: 'outlier_flip', threshold: null })],
+      [pool({ outlier: false })],
+      [{ webhook_subscription_id: 'sub-1', configID: pool().pool, state: true }]
+    );
+    expect(flip.alerts).toHaveLength(1);
+    expect(flip.alerts[0].payload.threshold).toBe(null);
+  });
+});
+
+describe('sign', () => {
+  test('is the hmac-sha256 of `${timestamp}.${body}`', () => {
+    const expected = crypto
+      .createHmac('sha256', 'secret')
+      .update('1700000000.{"a":1}')
+      .digest('hex');
+    expect(sign('secret', 1700000000, '{"a":1}')).toBe(expected);
+  });
+
+  test('depends on the secret, timestamp and body', () => {
+    const signature = sign('secret', 1, 'body');
+    expect(sign('other', 1, 'body')).not.toBe(signature);
+    expect(sign('secret', 2, 'body')).not.toBe(signature);
+    expect(sign('secret', 1, 'bodY')).not.toBe(signature);
+  });
+});
+
+describe('getBackoff', () => {
+  test('doubles from 1 minute', () => {
+    expect([1, 2, 3, 4].map(getBackoff)).toEqual([60e3, 120e3, 240e3, 480e3]);
+  });
+
+  test('is capped at 6 hours', () => {
+    expect(getBackoff(20)).toBe(6 * 60 * 60 * 1000);
+  });
+});
+
+describe('isPrivateAddress', () => {
+  test.each([
+    '127.0.0.1',
+    '10.0.0.1',
+    '172.16.5.4',
+    '192.168.1.1',
+    '169.254.169.254',
+    '0.0.0.0',
+    '::1',
+    'fe80::1',
+    'fd00::1',
+    '::ffff:127.0.0.1',
+  ])('%s is private', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  test.each(['8.8.8.8', '172.32.0.1', '2606:4700:4700::1111'])(
+    '%s is public',
+    (address) => {
+      expect(isPrivateAddress(address)).toBe(false);
+    }
+  );
+});
+
+describe('getWebhookHost', () => {
+  test('returns the hostname of public urls', () => {
+    expect(getWebhookHost('https://Hooks.Example.com./x')).toBe(
+      'hooks.example.com'
+    );
+  });
+
+  test.each([
+    'https://localhost/x',
+    'https://api.localhost/x',
+    'https://127.0.0.1/x',
+    'https://8.8.8.8/x',
+    'https://[::1]/x',
+    'https://2130706433/x',
+    'not a url',
+  ])('rejects %s', (url) => {
+    expect(getWebhookHost(url)).toBe(null);
+  });
+});
@@ -1,6 +1,11 @@
 
 // copy pasta from defillama-server
-module.exports.sendMessage = async (message, webhookUrl, formatted = true) => {
+const sendMessage = async (message, webhookUrl, formatted = true) => {
+  // no webhook configured (eg local runs), just log the message
+  if (!webhookUrl) {
+    console.log('discord (no webhook)', message);
+    return;
+  }
   const formattedMessage = formatted ? '```\n' + message + '\n```' : message; // Put it into a code block to prevent the format from getting messed up
   if (formattedMessage.length >= 2000) {
     const lines = message.split('\n');
@@ -25,3 +30,5 @@ module.exports.sendMessage = async (message, webhookUrl, formatted = true) => {
   }).then((body) => body.json());
   console.log('discord', response);
 };
+
+module.exports = { sendMessage };
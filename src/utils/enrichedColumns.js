@@ -27,6 +27,14 @@ const poolsResponseColumns = [
   'volumeUsd1d',
   'volumeUsd7d',
   'apyBaseInception',
+  'underlyingTokensMetadata',
+  'rewardTokensMetadata',
+  // freshness: time of the pool's latest sample, its age at enrichment time (hours),
+  // the adapter run which produced it and whether it's stale
+  'lastUpdate',
+  'ageHours',
+  'adapterRunId',
+  'stale',
 ];
 
 module.exports = poolsResponseColumns;
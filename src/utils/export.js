@@ -0,0 +1,161 @@
+// csv/parquet serialisation of api responses (rows of flat objects)
+// column order is always the one given by the caller (eg enrichedColumns.js)
+
+const formats = {
+  json: 'application/json',
+  csv: 'text/csv',
+  parquet: 'application/vnd.apache.parquet',
+};
+
+// `?format=` takes precedence over the accept header; returns null for an unknown format
+const getFormat = (req) => {
+  const format = req.query.format;
+  // a repeated ?format= param is parsed as an array
+  if (format !== undefined)
+    return typeof format === 'string' && Object.hasOwn(formats, format)
+      ? format
+      : null;
+
+  const type = req.accepts(Object.values(formats));
+  return Object.keys(formats).find((f) => formats[f] === type) ?? 'json';
+};
+
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const str =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === 'object'
+      ? JSON.stringify(value)
+      : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const toCSV = (rows, columns) =>
+  [
+    columns.join(','),
+    ...rows.map((r) => columns.map((c) => toCsvCell(r[c])).join(',')),
+  ].join('\n') + '\n';
+
+// parquet type per exported column: the /pools columns (enrichedColumns.js) and the
+// history series. types are fixed so mixed or all null columns keep their type;
+// arrays/objects (and columns missing here) are stored as json strings
+const parquetTypes = {
+  // /pools
+  chain: 'STRING',
+  project: 'STRING',
+  symbol: 'STRING',
+  tvlUsd: 'DOUBLE',
+  apyBase: 'DOUBLE',
+  apyReward: 'DOUBLE',
+  apy: 'DOUBLE',
+  rewardTokens: 'STRING',
+  pool: 'STRING',
+  apyPct1D: 'DOUBLE',
+  apyPct7D: 'DOUBLE',
+  apyPct30D: 'DOUBLE',
+  stablecoin: 'BOOLEAN',
+  ilRisk: 'STRING',
+  exposure: 'STRING',
+  predictions: 'STRING',
+  poolMeta: 'STRING',
+  mu: 'DOUBLE',
+  sigma: 'DOUBLE',
+  count: 'DOUBLE',
+  outlier: 'BOOLEAN',
+  underlyingTokens: 'STRING',
+  il7d: 'DOUBLE',
+  apyBase7d: 'DOUBLE',
+  apyMean30d: 'DOUBLE',
+  volumeUsd1d: 'DOUBLE',
+  volumeUsd7d: 'DOUBLE',
+  apyBaseInception: 'DOUBLE',
+  underlyingTokensMetadata: 'STRING',
+  rewardTokensMetadata: 'STRING',
+  lastUpdate: 'TIMESTAMP',
+  ageHours: 'DOUBLE',
+  adapterRunId: 'STRING',
+  stale: 'BOOLEAN',
+  // yield history, lend/borrow history and /chart
+  configID: 'STRING',
+  timestamp: 'TIMESTAMP',
+  pricePerShare: 'DOUBLE',
+  totalSupplyUsd: 'DOUBLE',
+  totalBorrowUsd: 'DOUBLE',
+  debtCeilingUsd: 'DOUBLE',
+  apyBaseBorrow: 'DOUBLE',
+  apyRewardBorrow: 'DOUBLE',
+  // perp history
+  marketplace: 'STRING',
+  market: 'STRING',
+  fundingRate: 'DOUBLE',
+  fundingRatePrevious: 'DOUBLE',
+  fundingTimePrevious: 'DOUBLE',
+  openInterest: 'DOUBLE',
+  indexPrice: 'DOUBLE',
+  fundingIntervalHours: 'DOUBLE',
+  fundingRateApr: 'DOUBLE',
+};
+
+const getParquetType = (column) => parquetTypes[column] ?? 'STRING';
+
+// values are cast to their column's type (eg pg returns numeric columns as strings),
+// values which can't be cast are written as null
+const toParquetValue = (value, type) => {
+  if (value === null || value === undefined) return null;
+  if (type === 'TIMESTAMP') {
+    const d = new Date(value);
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+  if (type === 'DOUBLE') {
+    const n = typeof value === 'string' && !value.trim() ? NaN : Number(value);
+    return Number.isFinite(n) ? n : null;
+  }
+  if (type === 'BOOLEAN') {
+    if (typeof value === 'boolean') return value;
+    return value === 'true' ? true : value === 'false' ? false : null;
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const toParquet = async (rows, columns) => {
+  // esm only package
+  const { parquetWriteBuffer } = await import('hyparquet-writer');
+
+  const columnData = columns.map((name) => {
+    const type = getParquetType(name);
+    return {
+      name,
+      type,
+      data: rows.map((r) => toParquetValue(r[name], type)),
+    };
+  });
+
+  return Buffer.from(parquetWriteBuffer({ columnData }));
+};
+
+// sends rows as csv/parquet; returns false for json so the caller can keep its own response shape
+const sendFormatted = async (res, format, rows, columns, filename) => {
+  if (format === 'json') return false;
+
+  const body =
+    format === 'csv' ? toCSV(rows, columns) : await toParquet(rows, columns);
+  res
+    .status(200)
+    .set({
+      'Content-Type': formats[format],
+      'Content-Disposition': `attachment; filename="${filename}.${format}"`,
+    })
+    .send(body);
+  return true;
+};
+
+module.exports = {
+  formats,
+  parquetTypes,
+  getFormat,
+  toCSV,
+  getParquetType,
+  toParquet,
+  sendFormatted,
+};
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+
+const { sendMessage } = require('./discordWebhook');
+
+// internal alerts (tvl spikes, stale projects, new projects ...), routed by alert type to one or more sinks
+//
+// routing defaults to the discord webhooks below; ALERT_ROUTES (json) replaces it, eg:
+// {
+//   "stale_project": [{ "type": "slack", "url": "https://hooks.slack.com/..." }, { "type": "email", "to": "ops@x.com" }],
+//   "*": [{ "type": "file", "path": ".local-storage/alerts.log" }]
+// }
+// types without a route use "*", alerts without any sink are logged to the console
+const alertTypes = [
+  'tvl_spike',
+  'new_project',
+  'stale_project',
+  'stale_project_escalated',
+  'protocol_slug',
+  'api_health',
+  'perp_venue_stale',
+];
+
+const getDefaultRoutes = () => {
+  const staleSinks = [
+    { type: 'discord', url: process.env.STALE_PROJECTS_WEBHOOK },
+  ];
+  return {
+    tvl_spike: [{ type: 'discord', url: process.env.TVL_SPIKE_WEBHOOK }],
+    new_project: [{ type: 'discord', url: process.env.NEW_YIELDS_WEBHOOK }],
+    stale_project: staleSinks,
+    stale_project_escalated: staleSinks,
+    protocol_slug: staleSinks,
+    api_health: staleSinks,
+    perp_venue_stale: staleSinks,
+  };
+};
+
+let routes = null;
+
+// ALERT_ROUTES is parsed once; if it's invalid the default routes are used
+const getRoutes = () => {
+  if (routes !== null) return routes;
+
+  routes = getDefaultRoutes();
+  if (process.env.ALERT_ROUTES) {
+    try {
+      const parsed = JSON.parse(process.env.ALERT_ROUTES);
+      if (
+        parsed === null ||
+        typeof parsed !== 'object' ||
+        !Object.values(parsed).every(Array.isArray)
+      )
+        throw new Error('expected an object of sink arrays');
+      routes = parsed;
+    } catch (err) {
+      console.log(
+        'invalid ALERT_ROUTES, using the default routes',
+        err.message
+      );
+    }
+  }
+  return routes;
+};
+
+const postJSON = async (url, body) => {
+  const response = await fetch(url, {
+    method: 'post',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+};
+
+let mailTransport = null;
+
+// ---------- sinks, each gets (sink config, alert)
+const sinks = {
+  discord: (sink, { message }) => sendMessage(message, sink.url),
+
+  slack: (sink, { message }) =>
+    postJSON(sink.url, { text: '```\n' + message + '\n```' }),
+
+  // generic json webhook
+  webhook: (sink, { type, message, timestamp }) =>
+    postJSON(sink.url, { type, message, timestamp }),
+
+  // smtp settings via SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, ALERT_EMAIL_FROM
+  email: async (sink, { type, message }) => {
+    if (mailTransport === null) {
+      const nodemailer = require('nodemailer');
+      const port = Number(process.env.SMTP_PORT ?? 587);
+      mailTransport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: port === 465,
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+    }
+    await mailTransport.sendMail({
+      from: process.env.ALERT_EMAIL_FROM ?? process.env.SMTP_USER,
+      to: sink.to,
+      subject: `[yield-server] ${type}`,
+      text: message,
+    });
+  },
+
+  // one json line per alert
+  file: async (sink, alert) => {
+    await fs.promises.mkdir(path.dirname(sink.path), { recursive: true });
+    await fs.promises.appendFile(sink.path, JSON.stringify(alert) + '\n');
+  },
+
+  console: (sink, { type, message }) => console.log(`[alert ${type}]`, message),
+};
+
+// sinks missing their target (eg an unset webhook env var) are skipped
+const isConfigured = (sink) => {
+  if (sinks[sink?.type] === undefined) {
+    console.log(`unknown alert sink type ${sink?.type}, skipping it`);
+    return false;
+  }
+  return ['discord', 'slack', 'webhook'].includes(sink.type)
+    ? Boolean(sink.url)
+    : sink.type === 'email'
+    ? Boolean(sink.to)
+    : sink.type === 'file'
+    ? Boolean(sink.path)
+    : true;
+};
+
+// returns the keys which weren't sent within the last n hours and marks them as sent
+// (for alerts about many items, eg one message listing all new stale projects)
+const dedupe = async (type, keys, hours = 24) => {
+  if (!keys.length) return [];
+  // lazy, so the api (healthPing) doesn't open a second db pool
+  const { claimAlertKeys } = require('../queries/alert');
+  try {
+    return await claimAlertKeys(type, keys, hours);
+  } catch (err) {
+    // rather alert twice than not at all
+    console.log('alert dedupe failed', err);
+    return keys;
+  }
+};
+
+// sends an alert to all sinks of its type; a failing sink is logged and doesn't affect the others
+// dedupeKey: the alert is suppressed if the same key was sent within the last dedupeHours
+// never rejects: alerts are awaited in handlers before their own work (eg db inserts)
+const notify = async (type, message, options) => {
+  try {
+    await send(type, message, options);
+  } catch (err) {
+    console.log(`alert ${type} failed`, err);
+  }
+};
+
+const send = async (type, message, { dedupeKey, dedupeHours = 24 } = {}) => {
+  if (dedupeKey && !(await dedupe(type, [dedupeKey], dedupeHours)).length)
+    return console.log(`alert ${type} suppressed (dedupe: ${dedupeKey})`);
+
+  const routes = getRoutes();
+  let targets = (routes[type] ?? routes['*'] ?? []).filter(isConfigured);
+  if (!targets.length) targets = [{ type: 'console' }];
+
+  const alert = { type, message, timestamp: new Date().toISOString() };
+  const results = await Promise.allSettled(
+    targets.map(async (sink) => sinks[sink.type](sink, alert))
+  );
+  results.forEach((r, i) => {
+    if (r.status === 'rejected')
+      console.log(`alert ${type}: ${targets[i].type} sink failed`, r.reason);
+  });
+};
+
+module.exports = { alertTypes, notify, dedupe, isConfigured };
@@ -0,0 +1,38 @@
+// sanity checks for the rows returned by the perp venue modules (src/perpetuals/)
+
+// max plausible funding per hour (venues cap funding well below, eg binance at 2% per 4h/8h)
+const MAX_HOURLY_FUNDING = 0.01;
+// tolerated clock skew between the venues and us
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+// returns why a (normalised) perp row is invalid, or null if it's fine
+const validatePerp = (m, now = Date.now()) => {
+  if (!m.market || !m.baseAsset) return 'missingMarket';
+  if (!Number.isFinite(m.fundingIntervalHours) || m.fundingIntervalHours <= 0)
+    return 'invalidFundingInterval';
+  if (
+    !Number.isFinite(m.fundingRate) ||
+    !Number.isFinite(m.fundingRatePrevious)
+  )
+    return 'invalidFunding';
+  if (
+    Math.abs(m.fundingRate) / m.fundingIntervalHours > MAX_HOURLY_FUNDING ||
+    Math.abs(m.fundingRatePrevious) / m.fundingIntervalHours >
+      MAX_HOURLY_FUNDING
+  )
+    return 'implausibleFunding';
+  if (!Number.isFinite(m.openInterest) || m.openInterest <= 0)
+    return 'invalidOpenInterest';
+  if (!Number.isFinite(m.indexPrice) || m.indexPrice <= 0)
+    return 'invalidIndexPrice';
+  // venues report it in ms or s, either way it has to be in the past
+  if (
+    !Number.isFinite(m.fundingTimePrevious) ||
+    m.fundingTimePrevious <= 0 ||
+    m.fundingTimePrevious > now + MAX_CLOCK_SKEW
+  )
+    return 'invalidFundingTime';
+  return null;
+};
+
+module.exports = { validatePerp };
@@ -0,0 +1,87 @@
+const axios = require('axios');
+
+const { readFromS3 } = require('./s3');
+
+// apy runway predictors used by the enrichment handler
+// each returns one [p(Down), p(Stable/Up)] pair per pool, in input order
+//
+// - rf: random forest served by the prediction api, with versioned categorical feature
+//   mappings (mlmodelartefacts/categorical_feature_mapping_<version>.json)
+// - baseline: in-process model over the expanding apy mean/std (from the stat table) and tvl,
+//   used when the rf model or its artefacts are unavailable
+//
+// PREDICTION_MODEL selects the primary model (default rf), the baseline is always the fallback
+const ARTEFACTS_BUCKET = 'llama-apy-prediction-prod';
+const RF_ENDPOINT =
+  process.env.PREDICTION_ENDPOINT ??
+  'https://yet9i1xlhf.execute-api.eu-central-1.amazonaws.com/predictions';
+const RF_VERSION = process.env.PREDICTION_MODEL_VERSION ?? '2022_05_20';
+
+const rf = {
+  name: 'rf',
+  version: RF_VERSION,
+  predict: async (pools) => {
+    const modelMappings = await readFromS3(
+      ARTEFACTS_BUCKET,
+      `mlmodelartefacts/categorical_feature_mapping_${RF_VERSION}.json`
+    );
+    // in case of new project assign -1 to factorised variable indicated missing value
+    // RF usually handles this quite well, of course if we get lots of new projects, will
+    // need to retrain the algorithm
+    const features = pools.map((el) => ({
+      apy: el.apy,
+      tvlUsd: el.tvlUsd,
+      apyMeanExpanding: el.apyMeanExpanding,
+      apyStdExpanding: el.apyStdExpanding,
+      chain_factorized: modelMappings.chain_factorized[el.chain] ?? -1,
+      project_factorized: modelMappings.project_factorized[el.project] ?? -1,
+    }));
+    return (await axios.post(RF_ENDPOINT, features, { timeout: 120e3 })).data
+      .predictions;
+  },
+};
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+// no training: apys well above their expanding mean tend to revert (down), small pools
+// are more volatile than large ones. at the mean and $1m tvl both classes are equally likely
+const baseline = {
+  name: 'baseline',
+  version: '1',
+  predict: async (pools) =>
+    pools.map((p) => {
+      const std = Math.max(p.apyStdExpanding ?? 0, 1);
+      const z = Math.max(
+        -5,
+        Math.min(5, (p.apy - (p.apyMeanExpanding ?? p.apy)) / std)
+      );
+      const tvl = Math.log10(Math.max(p.tvlUsd, 1)) - 6;
+      const pDown = sigmoid(1.2 * z - 0.4 * tvl);
+      return [pDown, 1 - pDown];
+    }),
+};
+
+const models = { rf, baseline };
+
+// returns the predictions and the `<name>@<version>` of the model which produced them
+const predict = async (pools) => {
+  const primary = models[process.env.PREDICTION_MODEL] ?? rf;
+  const candidates = primary === baseline ? [baseline] : [primary, baseline];
+
+  for (const model of candidates) {
+    try {
+      const predictions = await model.predict(pools);
+      if (predictions?.length !== pools.length)
+        throw new Error(
+          'prediction array length does not match dataEnriched input shape!'
+        );
+      return { model: `${model.name}@${model.version}`, predictions };
+    } catch (err) {
+      console.log(`${model.name} predictor failed, trying the next one`, err);
+    }
+  }
+  // only reached if the baseline fails too
+  throw new Error('no predictor available');
+};
+
+module.exports = { models, predict };
@@ -1,5 +1,20 @@
+const fs = require('fs');
+const path = require('path');
 const S3 = require('aws-sdk/clients/s3');
 
+// when set, all reads/writes go to <LOCAL_STORAGE_DIR>/<bucket>/<key> instead of s3/r2
+// (used by the local pipeline runner, see scripts/runPipeline.js)
+const localPath = (bucket, key) =>
+  path.resolve(process.env.LOCAL_STORAGE_DIR, bucket, key);
+
+const writeLocal = (bucket, key, body, raw = false) => {
+  const file = localPath(bucket, key);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, raw ? body : JSON.stringify(body));
+  console.log(`saved to ${file}`);
+  return { Location: file, Bucket: bucket, Key: key };
+};
+
 const r2 = () =>
   new S3({
     endpoint: `https://${process.env.R2_ENDPOINT}`,
@@ -10,6 +25,8 @@ const r2 = () =>
   });
 
 module.exports.writeToS3 = async (bucket, key, body) => {
+  if (process.env.LOCAL_STORAGE_DIR) return writeLocal(bucket, key, body);
+
   const params = {
     Bucket: bucket,
     Key: key,
@@ -24,6 +41,9 @@ module.exports.writeToS3 = async (bucket, key, body) => {
 };
 
 module.exports.readFromS3 = async (bucket, key) => {
+  if (process.env.LOCAL_STORAGE_DIR)
+    return JSON.parse(fs.readFileSync(localPath(bucket, key)));
+
   const params = {
     Bucket: bucket,
     Key: key,
@@ -47,6 +67,9 @@ module.exports.storeAPIResponse = (
   body,
   expires = next21Minutedate()
 ) => {
+  if (process.env.LOCAL_STORAGE_DIR)
+    return Promise.resolve(writeLocal(bucket, filename, body));
+
   return r2()
     .upload({
       Bucket: bucket,
@@ -57,3 +80,25 @@ module.exports.storeAPIResponse = (
     })
     .promise();
 };
+
+// same as storeAPIResponse for non json files (eg csv exports), body is uploaded as is
+module.exports.storeAPIFile = (
+  bucket,
+  filename,
+  body,
+  contentType,
+  expires = next21Minutedate()
+) => {
+  if (process.env.LOCAL_STORAGE_DIR)
+    return Promise.resolve(writeLocal(bucket, filename, body, true));
+
+  return r2()
+    .upload({
+      Bucket: bucket,
+      Key: filename,
+      Body: body,
+      Expires: expires,
+      ContentType: contentType,
+    })
+    .promise();
+};
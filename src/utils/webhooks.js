@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+
+// user webhook subscriptions: rule evaluation, payload signing and delivery
+const rules = ['apy_below', 'tvl_drop_pct', 'stale', 'outlier_flip'];
+const scopeTypes = ['configID', 'project', 'token'];
+
+// default thresholds (apy in %, tvl drop in %, staleness in hours)
+const defaultThresholds = { apy_below: 1, tvl_drop_pct: 20, stale: 6 };
+
+const maxAttempts = 8;
+const deliveryTimeout = 10e3;
+
+// webhooks are never delivered to these (unspecified, private, loopback,
+// link-local, shared, multicast and reserved ranges); ipv4-mapped ipv6
+// addresses are checked against the ipv4 subnets
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([subnet, prefix]) =>
+  blockedAddresses.addSubnet(subnet, prefix, 'ipv4')
+);
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([subnet, prefix]) =>
+  blockedAddresses.addSubnet(subnet, prefix, 'ipv6')
+);
+
+const isPrivateAddress = (address) =>
+  blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// hostname of a webhook url, or null for localhost and ip literals
+// (public or not, urls have to use a hostname)
+const getWebhookHost = (url) => {
+  let hostname;
+  try {
+    ({ hostname } = new URL(url));
+  } catch {
+    return null;
+  }
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  if (!host || host === 'localhost' || host.endsWith('.localhost')) return null;
+  if (net.isIP(host.replace(/^\[|\]$/g, ''))) return null;
+  return host;
+};
+
+// resolves a webhook host; throws (err.blocked) if any of its addresses is private
+const resolveWebhookHost = async (host) => {
+  const addresses = await dns.promises.lookup(host, { all: true });
+  if (!addresses.length || addresses.some((a) => isPrivateAddress(a.address))) {
+    const err = new Error(`${host} resolves to a private address`);
+    err.blocked = true;
+    throw err;
+  }
+  return addresses[0];
+};
+
+// 1min, 2min, 4min ... capped at 6h
+const getBackoff = (attempts) =>
+  Math.min(60e3 * 2 ** (attempts - 1), 6 * 60 * 60 * 1000);
+
+// rule condition for a pool of dataEnriched (pool = configID)
+// apy_below/tvl_drop_pct/stale alert when the condition becomes true,
+// outlier_flip alerts on every change of the outlier flag
+const getState = (sub, p) => {
+  const threshold = Number(sub.threshold ?? defaultThresholds[sub.rule]);
+  if (sub.rule === 'apy_below') return p.apy < threshold;
+  if (sub.rule === 'tvl_drop_pct')
+    return Number.isFinite(p.tvlUsdPct1D) && p.tvlUsdPct1D <= -threshold;
+  if (sub.rule === 'stale')
+    return Date.now() - new Date(p.timestamp) >= threshold * 60 * 60 * 1000;
+  if (sub.rule === 'outlier_flip') return Boolean(p.outlier);
+};
+
+const getScopePools = (sub, pools, byProject, byToken) => {
+  if (sub.scope_type === 'configID')
+    return pools.filter((p) => p.pool === sub.scope_value);
+  if (sub.scope_type === 'project') return byProject[sub.scope_value] ?? [];
+  return byToken[sub.scope_value.toLowerCase()] ?? [];
+};
+
+// evaluates all subscriptions against the pools of an enrichment run;
+// returns the changed states and the alerts to deliver
+const evaluateSubscriptions = (subscriptions, pools, prevStates) => {
+  const byProject = {};
+  const byToken = {};
+  for (const p of pools) {
+    (byProject[p.project] ??= []).push(p);
+    for (const token of new Set(
+      (p.underlyingTokens ?? []).map((t) => t?.toLowerCase())
+    )) {
+      if (token) (byToken[token] ??= []).push(p);
+    }
+  }
+
+  const prev = new Map(
+    prevStates.map((s) => [
+      `${s.webhook_subscription_id}:${s.configID}`,
+      s.state,
+    ])
+  );
+  const triggeredAt = new Date().toISOString();
+
+  const states = [];
+  const alerts = [];
+  for (const sub of subscriptions) {
+    for (const p of getScopePools(sub, pools, byProject, byToken)) {
+      const state = getState(sub, p);
+      // (no stored state = condition false, so only pools which ever triggered get a row)
+      const prevState =
+        prev.get(`${sub.webhook_subscription_id}:${p.pool}`) ??
+        (sub.rule === 'outlier_flip' ? undefined : false);
+      if (state === prevState) continue;
+
+      states.push({
+        webhook_subscription_id: sub.webhook_subscription_id,
+        configID: p.pool,
+        state,
+      });
+
+      // the first evaluation of an outlier_flip rule only records the flag
+      const fire =
+        sub.rule === 'outlier_flip' ? prevState !== undefined : state;
+      if (!fire) continue;
+
+      alerts.push({
+        webhook_subscription_id: sub.webhook_subscription_id,
+        payload: {
+          event: sub.rule,
+          subscriptionId: sub.webhook_subscription_id,
+          threshold:
+            sub.rule === 'outlier_flip'
+              ? null
+              : Number(sub.threshold ?? defaultThresholds[sub.rule]),
+          triggeredAt,
+          pool: {
+            configID: p.pool,
+            project: p.project,
+            chain: p.chain,
+            symbol: p.symbol,
+            poolMeta: p.poolMeta ?? null,
+            apy: p.apy,
+            apyPct1D: p.apyPct1D ?? null,
+            tvlUsd: p.tvlUsd,
+            tvlUsdPct1D: p.tvlUsdPct1D ?? null,
+            outlier: p.outlier,
+            lastUpdate: p.timestamp,
+          },
+        },
+      });
+    }
+  }
+
+  return { states, alerts };
+};
+
+// receivers verify with hmac-sha256(secret, `${X-Llama-Timestamp}.${body}`)
+const sign = (secret, timestamp, body) =>
+  crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+// posts a delivery (with url and secret of its subscription); returns the updated delivery row.
+// the host is resolved and checked before connecting, and the connection pinned to the
+// checked address so a changed dns answer can't point the request at an internal host
+const deliver = async (delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = delivery.attempts + 1;
+
+  let response_status = null;
+  let last_error = null;
+  let blocked = false;
+  try {
+    const host = getWebhookHost(delivery.url);
+    if (!host) {
+      const err = new Error('url host has to be a public hostname');
+      err.blocked = true;
+      throw err;
+    }
+    const { address, family } = await resolveWebhookHost(host);
+    const response = await axios.post(delivery.url, body, {
+      timeout: deliveryTimeout,
+      maxRedirects: 0,
+      lookup: (hostname, options, cb) =>
+        options?.all
+          ? cb(null, [{ address, family }])
+          : cb(null, address, family),
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Llama-Webhook-Id': delivery.webhook_delivery_id,
+        'X-Llama-Timestamp': timestamp,
+        'X-Llama-Signature': `sha256=${sign(delivery.secret, timestamp, body)}`,
+      },
+    });
+    response_status = response.status;
+  } catch (err) {
+    response_status = err.response?.status ?? null;
+    last_error = err.message;
+    // refused hosts are not retried
+    blocked = Boolean(err.blocked);
+  }
+
+  const delivered = last_error === null;
+  return {
+    webhook_delivery_id: delivery.webhook_delivery_id,
+    status: delivered
+      ? 'delivered'
+      : blocked || attempts >= maxAttempts
+      ? 'failed'
+      : 'pending',
+    attempts,
+    next_attempt_at: new Date(
+      Date.now() + (delivered ? 0 : getBackoff(attempts))
+    ),
+    response_status,
+    last_error,
+    delivered_at: delivered ? new Date() : null,
+  };
+};
+
+module.exports = {
+  rules,
+  scopeTypes,
+  defaultThresholds,
+  evaluateSubscriptions,
+  getBackoff,
+  sign,
+  isPrivateAddress,
+  getWebhookHost,
+  resolveWebhookHost,
+  deliver,
+};